@@ -0,0 +1,296 @@
+// Authenticated JSON API on the keep-alive Express server.
+//
+// Every request needs `Authorization: Bearer <key>`, where the key was created
+// with /apikey in the guild it reads from. Keys are stored as SHA-256 hashes in
+// settings[guildId].apiKeys and only shown once, on creation.
+const crypto = require('crypto');
+const express = require('express');
+
+const RATE_LIMIT = Number(process.env.API_RATE_LIMIT) || 60; // requests per key per window
+const RATE_WINDOW_MS = 60_000;
+const MAX_PAGE_SIZE = 100;
+const IMPORT_LIMIT = '5mb';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns { id, key, hash }; `key` is what the user gets to see
+function generateApiKey() {
+  const id = crypto.randomBytes(4).toString('hex');
+  const key = `pfi_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { id, key, hash: hashKey(key) };
+}
+
+function sendError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+function intParam(value, { def, min, max }) {
+  if (value === undefined) return def;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) return null;
+  return n;
+}
+
+/**
+ * @param {object} ctx accessors into the bot state (see index.js)
+ */
+function createApiRouter(ctx) {
+  const router = express.Router();
+  const windows = new Map(); // key id -> { start, count }
+
+  // the import route parses its own, larger body (after authentication)
+  const jsonBody = express.json({ limit: '16kb' });
+  router.use((req, res, next) => (req.path.endsWith('/import') ? next() : jsonBody(req, res, next)));
+
+  // --- auth: resolve the key, then make sure it belongs to :guildId ---
+  function authenticate(req, res, next) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') ?? '');
+    if (!match) return sendError(res, 401, 'unauthorized', 'Missing "Authorization: Bearer <key>" header');
+
+    const hash = hashKey(match[1]);
+    const found = ctx.findApiKey(hash);
+    if (!found) return sendError(res, 401, 'unauthorized', 'Invalid API key');
+    if (found.guildId !== req.params.guildId) {
+      return sendError(res, 403, 'forbidden', 'This API key belongs to a different guild');
+    }
+
+    const now = Date.now();
+    let w = windows.get(found.key.id);
+    if (!w || now - w.start >= RATE_WINDOW_MS) {
+      w = { start: now, count: 0 };
+      windows.set(found.key.id, w);
+    }
+    w.count += 1;
+    res.set('X-RateLimit-Limit', String(RATE_LIMIT));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, RATE_LIMIT - w.count)));
+    if (w.count > RATE_LIMIT) {
+      res.set('Retry-After', String(Math.ceil((w.start + RATE_WINDOW_MS - now) / 1000)));
+      return sendError(res, 429, 'rate_limited', `Rate limit of ${RATE_LIMIT} requests per minute exceeded`);
+    }
+
+    const guild = ctx.client.guilds.cache.get(req.params.guildId);
+    if (!guild) return sendError(res, 404, 'guild_not_found', 'The bot is not in this guild');
+
+    ctx.touchApiKey(found.guildId, found.key.id);
+    req.guild = guild;
+    req.apiKey = found.key;
+    next();
+  }
+
+  function periodFrom(req, res) {
+    const period = ctx.resolvePeriod({ period: req.query.period, from: req.query.from, to: req.query.to });
+    if (period.error) {
+      sendError(res, 400, 'bad_period', period.error.replace(/`/g, ''));
+      return null;
+    }
+    return period;
+  }
+
+  // userId may also be a join source (vanity, oauth, bot, unknown) or role:<id>
+  // `indirect` is the guild's indirect credit map, null when that is turned off
+  function statsBody(userId, s, indirect = null) {
+    return {
+      userId,
+      source: ctx.isPseudoInviter(userId),
+      joins: s.joins ?? 0,
+      leaves: s.leaves ?? 0,
+      bonus: s.bonus ?? 0,
+      fake: s.fake ?? 0,
+      rejoins: s.rejoins ?? 0,
+      total: ctx.computeTotal(s),
+      ...(indirect && { indirect: indirect[userId] ?? 0 }),
+    };
+  }
+
+  const guildRoute = (p) => `/guilds/:guildId${p}`;
+
+  router.get(guildRoute('/stats/:userId'), authenticate, (req, res) => {
+    if (!/^\d{15,20}$/.test(req.params.userId)) return sendError(res, 400, 'bad_user', 'userId must be a Discord snowflake');
+    const period = periodFrom(req, res);
+    if (!period) return;
+    const s = ctx.statsForPeriod(req.guild.id, period)[req.params.userId] ?? ctx.emptyStats();
+    const indirect = ctx.indirectForPeriod(req.guild.id, period);
+    res.json({ guildId: req.guild.id, period: period.label, ...statsBody(req.params.userId, s, indirect) });
+  });
+
+  router.get(guildRoute('/leaderboard'), authenticate, (req, res) => {
+    const page = intParam(req.query.page, { def: 1, min: 1, max: 100_000 });
+    const limit = intParam(req.query.limit, { def: 25, min: 1, max: MAX_PAGE_SIZE });
+    if (page === null || limit === null) {
+      return sendError(res, 400, 'bad_paging', `page must be >= 1 and limit between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    const period = periodFrom(req, res);
+    if (!period) return;
+
+    const indirect = ctx.indirectForPeriod(req.guild.id, period);
+    const ranked = Object.entries(ctx.statsForPeriod(req.guild.id, period))
+      .map(([uid, s]) => statsBody(uid, s, indirect))
+      .sort((a, b) => b.total - a.total);
+    const entries = ranked
+      .slice((page - 1) * limit, page * limit)
+      .map((e, i) => ({ rank: (page - 1) * limit + i + 1, ...e }));
+
+    res.json({
+      guildId: req.guild.id,
+      period: period.label,
+      page,
+      limit,
+      totalEntries: ranked.length,
+      totalPages: Math.max(1, Math.ceil(ranked.length / limit)),
+      entries,
+    });
+  });
+
+  router.get(guildRoute('/invites'), authenticate, (req, res) => {
+    const inviter = req.query.inviter;
+    const retention = ctx.codeRetention(req.guild.id);
+    const invites = Object.entries(ctx.state().invitesCache[req.guild.id] ?? {})
+      .filter(([, inv]) => !inviter || inv.inviterId === inviter)
+      .map(([code, inv]) => ({
+        code,
+        inviterId: inv.inviterId,
+        channelId: inv.channelId,
+        uses: inv.uses ?? 0,
+        maxUses: inv.maxUses || null,
+        remainingUses: inv.maxUses ? Math.max(0, inv.maxUses - (inv.uses ?? 0)) : null,
+        createdAt: inv.createdTimestamp,
+        expiresAt: inv.expiresAt,
+        active: ctx.isInviteActive(inv),
+        membersJoined: retention.get(code)?.joined ?? 0,
+        membersStillHere: retention.get(code)?.stillHere ?? 0,
+      }));
+    res.json({ guildId: req.guild.id, invites });
+  });
+
+  router.get(guildRoute('/history'), authenticate, (req, res) => {
+    const limit = intParam(req.query.limit, { def: 50, min: 1, max: MAX_PAGE_SIZE });
+    const before = intParam(req.query.before, { def: Number.MAX_SAFE_INTEGER, min: 0, max: Number.MAX_SAFE_INTEGER });
+    const { type, user } = req.query;
+    if (limit === null || before === null) return sendError(res, 400, 'bad_paging', `limit must be 1-${MAX_PAGE_SIZE} and before a timestamp in ms`);
+    if (type && !['join', 'leave'].includes(type)) return sendError(res, 400, 'bad_type', 'type must be "join" or "leave"');
+
+    const all = ctx.state().events[req.guild.id] ?? [];
+    const out = [];
+    for (let i = all.length - 1; i >= 0 && out.length < limit; i--) {
+      const e = all[i];
+      if (e.type !== 'join' && e.type !== 'leave') continue;
+      if (e.at >= before || (type && e.type !== type)) continue;
+      if (user && e.memberId !== user && e.inviterId !== user) continue;
+      out.push(e);
+    }
+    res.json({
+      guildId: req.guild.id,
+      events: out,
+      nextBefore: out.length === limit ? out[out.length - 1].at : null,
+    });
+  });
+
+  router.get(guildRoute('/config'), authenticate, (req, res) => {
+    res.json({ guildId: req.guild.id, ...ctx.getLogChannels(req.guild.id) });
+  });
+
+  router.put(guildRoute('/config'), authenticate, (req, res) => {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendError(res, 400, 'bad_body', 'Expected a JSON object');
+    }
+    const fields = ['logChannelId', 'joinLogChannelId', 'leaveLogChannelId'];
+    const unknown = Object.keys(body).filter(k => !fields.includes(k));
+    if (unknown.length) return sendError(res, 400, 'bad_body', `Unknown field(s): ${unknown.join(', ')}`);
+
+    for (const field of fields) {
+      if (!(field in body) || body[field] === null) continue;
+      const ch = req.guild.channels.cache.get(String(body[field]));
+      if (!ch || !ch.isTextBased() || ch.isThread()) {
+        return sendError(res, 422, 'bad_channel', `${field} is not a text channel in this guild`);
+      }
+    }
+    ctx.setLogChannels(req.guild.id, body);
+    res.json({ guildId: req.guild.id, ...ctx.getLogChannels(req.guild.id) });
+  });
+
+  router.get(guildRoute('/export'), authenticate, (req, res) => {
+    const format = req.query.format ?? 'json';
+    if (format === 'json') return res.json(ctx.exportData(req.guild.id, 'json'));
+    if (format !== 'csv') return sendError(res, 400, 'bad_format', 'format must be json or csv');
+    const part = req.query.part ?? 'stats';
+    if (part !== 'stats' && part !== 'members') return sendError(res, 400, 'bad_part', 'part must be stats or members');
+    res.type('text/csv').attachment(`${part}.csv`).send(ctx.exportData(req.guild.id, 'csv')[`${part}.csv`]);
+  });
+
+  // Body: an export from GET /export, or CSV (Content-Type: text/csv).
+  // ?mode=merge|replace (default merge), ?dryRun=true only returns the diff.
+  router.post(
+    guildRoute('/import'),
+    authenticate,
+    express.text({ type: ['text/*', 'application/json'], limit: IMPORT_LIMIT }),
+    (req, res) => {
+      const mode = req.query.mode ?? 'merge';
+      if (mode !== 'merge' && mode !== 'replace') return sendError(res, 400, 'bad_mode', 'mode must be merge or replace');
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return sendError(res, 400, 'bad_body', 'Expected a JSON or CSV request body');
+      }
+      const filename = req.is('text/csv') ? 'import.csv' : 'import.json';
+      const { plan, errors, errorCount } = ctx.previewImport(req.guild.id, req.body, filename, mode);
+      if (!plan) {
+        return res.status(422).json({ error: { code: 'invalid_import', message: `${errorCount} problem(s) in the data`, details: errors } });
+      }
+      const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+      if (!dryRun) {
+        ctx.applyImport(req.guild.id, plan, req.apiKey.createdBy, 'api');
+        // can take a while on big servers, so the response doesn't wait for it
+        ctx.syncImportedRewards(req.guild);
+      }
+      res.json({
+        dryRun,
+        mode,
+        usersChanged: plan.changes.length,
+        usersRemoved: plan.removed.length,
+        membersAdded: plan.membersAdded,
+        membersChanged: plan.membersChanged,
+        membersRemoved: plan.membersRemoved,
+        changes: plan.changes.map(({ userId, before, after }) => ({
+          userId,
+          before: before ? statsBody(userId, before) : null,
+          after: statsBody(userId, after),
+        })),
+      });
+    }
+  );
+
+  router.use((req, res) => sendError(res, 404, 'not_found', `No route for ${req.method} ${req.path}`));
+
+  // express recognises error handlers by their four parameters
+  router.use((err, req, res, _next) => {
+    if (err.type === 'entity.parse.failed') return sendError(res, 400, 'bad_json', 'Request body is not valid JSON');
+    if (err.type === 'entity.too.large') return sendError(res, 413, 'too_large', 'Request body is too large');
+    console.error('API error:', err);
+    return sendError(res, 500, 'internal', 'Internal server error');
+  });
+
+  return router;
+}
+
+// Guards operator-only routes (like /health/shards) with `Authorization: Bearer
+// <ADMIN_TOKEN>`. Without an ADMIN_TOKEN these routes don't exist.
+function requireAdminToken(token = process.env.ADMIN_TOKEN) {
+  const expected = token ? Buffer.from(hashKey(token), 'hex') : null;
+  return (req, res, next) => {
+    if (!expected) return sendError(res, 404, 'not_found', `No route for ${req.method} ${req.path}`);
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') ?? '');
+    if (!match || !crypto.timingSafeEqual(Buffer.from(hashKey(match[1]), 'hex'), expected)) {
+      return sendError(res, 401, 'unauthorized', 'Missing or invalid admin token');
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createApiRouter,
+  generateApiKey,
+  hashKey,
+  sendError,
+  requireAdminToken,
+};
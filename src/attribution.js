@@ -0,0 +1,116 @@
+// Join attribution: works out which invite (or the vanity URL) a new member used
+// by diffing invite snapshots. Pure functions, the I/O lives in bot.js (createBot).
+//
+// Uses seen in a diff go into a per-guild `pending` list first and every join
+// claims one. When two members join at nearly the same time the first handler
+// sees both uses, so the second one still finds its use waiting in the list.
+
+const PENDING_TTL_MS = 2 * 60_000;   // unclaimed uses older than this are dropped
+const JUST_EXPIRED_MS = 60_000;      // a code that expired this recently may have been used
+
+// Adds every use that appeared between `before` and `after` to `pending`
+function collectNewUses(pending, before, after, now) {
+  for (const [code, a] of Object.entries(after)) {
+    const delta = (a.uses ?? 0) - (before[code]?.uses ?? 0);
+    for (let i = 0; i < delta; i++) {
+      pending.push({ source: 'invite', code, invite: { code, ...a }, at: now });
+    }
+  }
+}
+
+function collectVanityUses(pending, beforeUses, afterUses, now) {
+  if (beforeUses == null || afterUses == null) return;
+  for (let i = 0; i < afterUses - beforeUses; i++) {
+    pending.push({ source: 'vanity', code: null, invite: null, at: now });
+  }
+}
+
+// Takes the oldest pending use. It is exact when every pending use points at the
+// same code: then it doesn't matter which of the racing members gets which.
+// Otherwise nothing tells which member used which code, so the uses left over
+// stay inferred when the later members claim them.
+function claimUse(pending, now) {
+  for (let i = pending.length - 1; i >= 0; i--) {
+    if (now - pending[i].at > PENDING_TTL_MS) pending.splice(i, 1);
+  }
+  if (pending.length === 0) return null;
+
+  const distinct = new Set(pending.map(p => p.code ?? `:${p.source}`));
+  if (distinct.size > 1) for (const p of pending) p.ambiguous = true;
+  const { ambiguous, ...use } = pending.shift();
+  return { ...use, confidence: ambiguous ? 'inferred' : 'exact' };
+}
+
+// Invites that reach maxUses or expire are deleted before we can fetch them, so
+// their last use never shows up in a diff. A code that vanished while it was one
+// use away from maxUses (or had just expired) is taken as the one used.
+function inferDisappeared(before, after, now) {
+  let best = null;
+  for (const [code, b] of Object.entries(before)) {
+    if (code in after) continue;
+    const usedUp = b.maxUses > 0 && (b.uses ?? 0) + 1 >= b.maxUses;
+    const justExpired = b.expiresAt && b.expiresAt <= now && now - b.expiresAt <= JUST_EXPIRED_MS;
+    if (!usedUp && !justExpired) continue;
+    // prefer a used-up invite over an expired one
+    if (!best || (usedUp && !best.usedUp)) best = { code, b, usedUp };
+  }
+  if (!best) return null;
+  return {
+    source: 'invite',
+    code: best.code,
+    invite: { code: best.code, ...best.b, uses: (best.b.uses ?? 0) + 1 },
+    at: now,
+    confidence: 'inferred',
+  };
+}
+
+// Offline reconciliation: the bot was down between two snapshots and `joiners`
+// (oldest first) joined meanwhile. Every use in between is grouped by who gets
+// the credit (an inviter, or the vanity URL); the joiners are only credited
+// when all those uses point at a single one of them and there are enough uses
+// to cover every joiner. Anything else is left unattributed.
+// An invite that vanished on its last use left counts that use. One that vanished
+// with more uses left (deleted by hand, expired or used up) had an unknown number
+// of uses: it adds none, but its inviter still counts as someone who may get credit.
+// `since` is when the bot was last online.
+// Returns { assignments: [{ memberId, use }], unattributed: [memberId], uses, spareUses }.
+function planOfflineJoins({ before, after, vanityBefore, vanityAfter, joiners, since = 0, now }) {
+  const uses = [];
+  for (const [code, a] of Object.entries(after)) {
+    const count = (a.uses ?? 0) - (before[code]?.uses ?? 0);
+    if (count > 0) uses.push({ source: 'invite', code, invite: { code, ...a }, count });
+  }
+  for (const [code, b] of Object.entries(before)) {
+    // already expired before the bot went down: nobody could use it
+    if (code in after || (b.expiresAt && b.expiresAt <= since)) continue;
+    const expired = b.expiresAt && b.expiresAt <= now;
+    const lastUse = b.maxUses > 0 && (b.uses ?? 0) + 1 === b.maxUses && !expired;
+    uses.push({ source: 'invite', code, invite: { code, ...b, uses: (b.uses ?? 0) + (lastUse ? 1 : 0) }, count: lastUse ? 1 : 0 });
+  }
+  if (vanityBefore != null && vanityAfter != null && vanityAfter > vanityBefore) {
+    uses.push({ source: 'vanity', code: null, invite: null, count: vanityAfter - vanityBefore });
+  }
+
+  const total = uses.reduce((n, u) => n + u.count, 0);
+  const creditTo = new Set(uses.map(u => (u.source === 'vanity' ? ':vanity' : u.invite.inviterId ?? `:${u.code}`)));
+  if (joiners.length === 0 || creditTo.size !== 1 || total < joiners.length) {
+    return { assignments: [], unattributed: [...joiners], uses, spareUses: total };
+  }
+
+  const slots = uses.flatMap(u => Array.from({ length: u.count }, () => u));
+  const assignments = joiners.map((memberId, i) => ({
+    memberId,
+    use: { source: slots[i].source, code: slots[i].code, invite: slots[i].invite, confidence: 'inferred' },
+  }));
+  return { assignments, unattributed: [], uses, spareUses: total - joiners.length };
+}
+
+module.exports = {
+  PENDING_TTL_MS,
+  JUST_EXPIRED_MS,
+  collectNewUses,
+  collectVanityUses,
+  claimUse,
+  inferDisappeared,
+  planOfflineJoins,
+};
@@ -0,0 +1,3100 @@
+// Event and command handling, separate from the client bootstrap in index.js.
+//
+// createBot() wires every handler onto the client it is given and keeps the
+// bot's state in its closure, so tests can drive it with a fake client and a
+// temporary store without a token or a gateway connection.
+const {
+  PermissionsBitField, ChannelType,
+  EmbedBuilder,
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType,
+  AttachmentBuilder
+} = require('discord.js');
+
+const {
+  STAT_FIELDS, LEADERBOARD_SORTS, PSEUDO_INVITERS, emptyStats, computeTotal, normalizeStats,
+  isPseudoInviter, rankStats
+} = require('./stats');
+const { exportJson, exportCsv, parseImport, planImport } = require('./transfer');
+const {
+  CONFIG_KEYS, DEFAULT_FAKE_RULES, readConfig, writeConfig, clearConfig, parseConfigValue, formatConfigValue,
+  migrateLegacyConfig
+} = require('./settings');
+const {
+  PLACEHOLDERS, DEFAULT_TEMPLATES, TEMPLATE_LABELS,
+  normalizeTemplateText, renderTemplate
+} = require('./templates');
+const {
+  collectNewUses, collectVanityUses, claimUse, inferDisappeared, planOfflineJoins, JUST_EXPIRED_MS
+} = require('./attribution');
+const { DEFAULT_RAID_RULES, trackJoin, burstReason } = require('./raid');
+const {
+  CONTEST_MODES, CONTEST_MIN_MS, CONTEST_MAX_MS, DEFAULT_CONTEST_RULES,
+  parseDuration, statsDelta, contestStandings, describeContestRules
+} = require('./contests');
+const {
+  MAX_TREE_DEPTH, buildReferralIndex, referralLevels, flattenLevels, indirectCredits
+} = require('./referrals');
+const { DEFAULT_LANGUAGE, translator, languageOf, ordinal } = require('./i18n');
+const { generateApiKey } = require('./api');
+const {
+  WEBHOOK_EVENTS, checkWebhookTarget, createWebhookDispatcher, generateId: generateWebhookId, generateSecret, isValidWebhookUrl
+} = require('./webhooks');
+const { STATUS_MIN_INTERVAL_S, STATUS_DEFAULT_INTERVAL_S } = require('./commands');
+
+/**
+ * @param {object} opts
+ * @param {import('discord.js').Client} opts.client client (or a fake) to listen on; may be one shard
+ * @param {ReturnType<import('./storage').createStore>} opts.store
+ * @param {(guildId?: string) => Promise<void>} [opts.registerCommands] pushes the slash commands to
+ *   Discord, globally or to one guild
+ * @param {string|null} [opts.commandGuildId] guild the commands are registered in, if not global
+ * @param {boolean} [opts.perGuildCommands] register the commands in every guild instead of globally
+ * @param {{ graceMs: number, mode: 'archive' | 'purge' }} [opts.guildCleanup] what happens to the
+ *   data of a guild that removed the bot, and when
+ * @param {string|null} [opts.botName] username the bot gives itself on ready
+ */
+function createBot({
+  client,
+  store,
+  registerCommands = async () => {},
+  commandGuildId = null,
+  perGuildCommands = false,
+  guildCleanup = { graceMs: 7 * 86_400_000, mode: 'archive' },
+  botName = 'Phantom forge Invites',
+}) {
+  // ---------- CONSTANTS ----------
+  const THEME = 0x8000ff; // #8000ff
+  const EN = translator(DEFAULT_LANGUAGE); // webhooks, the API and audit entries stay in English
+
+  // ---------- RUNTIME STATE ----------
+  let invitesCache = {};   // per guild: { code: {...} }
+  let stats = {};          // per guild: { [userId]: { joins, leaves, bonus, fake, rejoins, lastInviteCode } }
+  let statusStore = {};    // per guild: { channelId, messageId, intervalSec } status panel
+  let membersMap = {};     // per guild: { [memberId]: inviterId }
+  let settings = {};       // per guild: { language, logChannels: { default, join, leave, fallbackByName }, staffRoleId, ignoredChannels,
+                           //   fake, raid, raidMode, indirectCreditPct, rewards, templates, apiKeys, webhooks,
+                           //   vanityCredit } (keys: settings.js)
+  let joinHistory = {};    // per guild: { [memberId]: { firstJoinAt, lastJoinAt, joinCount, inviters, inviterId,
+                           //   lastCode, confidence, kind, credited, leftAt, leaveCounted } }
+  let events = {};         // per guild: [{ type, at, ... }] append-only join/leave/bonus log
+  let audit = {};          // per guild: [{ at, action, by, ... }] staff corrections
+  let seen = {};           // per guild: { at, vanityUses } last live view, for offline reconciliation
+  let contests = {};       // per guild: the running (or last ended) contest, see CONTESTS
+  let owners = {};         // per guild: { [code]: { ownerId, createdAt, createdBy } } personal invites
+  let departed = {};       // per guild: { at, name } the bot was removed, see SERVER CLEANUP
+  let statusTimer = null;  // shared status panel scheduler
+  let heartbeatTimer = null;
+  let contestTimer = null;
+  let cleanupTimer = null;
+  let totalGuilds = null;  // servers over all shards, refreshed with the presence
+  let statusTickRunning = false;
+  let statusPausedUntil = 0;         // global pause after a rate limit on message routes
+  const panelSchedule = new Map();   // guildId -> { nextAt, backoffMs }
+  const inviteFetchedAt = new Map(); // guildId -> last successful invite fetch
+  const joinQueues = new Map();      // guildId -> tail of the attribution queue
+  const pendingUses = new Map();     // guildId -> invite/vanity uses not yet claimed by a join
+  const vanityUses = new Map();      // guildId -> last known vanity URL uses
+  const recentlyDeleted = new Map(); // guildId -> { code: snapshot + deletedAt }
+  const joinBursts = new Map();      // guildId -> { code: { joins, flaggedUntil } } recent joins for raid detection
+  let PROCESS_START_MS = Date.now(); // corrected on 'ready'
+
+  // ---------- STORAGE HELPERS ----------
+  function loadAll() {
+    invitesCache = store.load('invites');
+    stats = store.load('stats');
+    statusStore = store.load('status');
+    membersMap = store.load('members');
+    settings = store.load('settings');
+    joinHistory = store.load('history');
+    events = store.load('events');
+    audit = store.load('audit');
+    seen = store.load('seen');
+    contests = store.load('contests');
+    owners = store.load('owners');
+    departed = store.load('departed');
+    migrateOldStatsSchema();
+    migrateLegacyLogChannels();
+  }
+  function saveInvites(){ store.save('invites', invitesCache); }
+  function saveStats(){ store.save('stats', stats); }
+  function saveStatus(){ store.save('status', statusStore); }
+  function saveMembers(){ store.save('members', membersMap); }
+  function saveSettings(){ store.save('settings', settings); }
+  function saveHistory(){ store.save('history', joinHistory); }
+  function saveEvents(){ store.save('events', events); }
+  function saveAudit(){ store.save('audit', audit); }
+  function saveSeen(){ store.save('seen', seen); }
+  function saveContests(){ store.save('contests', contests); }
+  function saveOwners(){ store.save('owners', owners); }
+  function saveDeparted(){ store.save('departed', departed); }
+
+  // Migrate older { total } schema -> { joins, leaves, bonus, fake, rejoins }
+  function migrateOldStatsSchema() {
+    let changed = false;
+    for (const [gid, byUser] of Object.entries(stats)) {
+      for (const [uid, s] of Object.entries(byUser)) {
+        const { value, migrated } = normalizeStats(s);
+        stats[gid][uid] = value;
+        if (migrated) changed = true;
+      }
+    }
+    if (changed) saveStats();
+  }
+
+  // config.json used to hold a bare log channel id per guild
+  function migrateLegacyLogChannels() {
+    const config = store.load('config');
+    if (migrateLegacyConfig(config, settings) === 0) return;
+    store.save('config', config);
+    saveSettings();
+  }
+
+  // ---------- UTILS ----------
+  // `kind` ('join' | 'leave') picks a dedicated channel when one is set
+  function getLogChannel(guild, kind = null) {
+    const logChannels = settings[guild.id]?.logChannels ?? {};
+    const dedicated = kind && logChannels[kind] ? guild.channels.cache.get(logChannels[kind]) : null;
+    if (dedicated) return dedicated;
+    if (logChannels.default) return guild.channels.cache.get(logChannels.default) ?? null;
+    if (!readConfig(settings[guild.id], 'logs.fallbackByName')) return null;
+    return guild.channels.cache.find(
+      ch => ch.type === ChannelType.GuildText && ch.name.toLowerCase() === 'invite-logs'
+    ) ?? null;
+  }
+
+  // Language of a guild's log messages and announcements: the `language` setting,
+  // or with 'auto' the server's preferred locale when there is a bundle for it
+  function guildTranslator(guild) {
+    const setting = readConfig(settings[guild.id], 'language');
+    return translator(setting !== 'auto' ? setting : languageOf(guild.preferredLocale) ?? DEFAULT_LANGUAGE);
+  }
+
+  // Replies follow the user's Discord language, falling back to the guild's
+  function interactionTranslator(interaction) {
+    const lang = languageOf(interaction.locale);
+    return lang ? translator(lang) : guildTranslator(interaction.guild);
+  }
+
+  function getLogChannels(guildId) {
+    return {
+      logChannelId: settings[guildId]?.logChannels?.default ?? null,
+      joinLogChannelId: settings[guildId]?.logChannels?.join ?? null,
+      leaveLogChannelId: settings[guildId]?.logChannels?.leave ?? null,
+    };
+  }
+
+  // Only the keys present in `patch` change; null clears a channel
+  function setLogChannels(guildId, patch) {
+    const fields = [['logChannelId', 'default'], ['joinLogChannelId', 'join'], ['leaveLogChannelId', 'leave']];
+    for (const [field, kind] of fields) {
+      if (!(field in patch)) continue;
+      settings[guildId] ??= {};
+      settings[guildId].logChannels ??= {};
+      if (patch[field]) settings[guildId].logChannels[kind] = String(patch[field]);
+      else delete settings[guildId].logChannels[kind];
+      saveSettings();
+    }
+  }
+
+  // A personal invite is credited to its recorded owner, not to its creator
+  // (the bot, or whoever ran /personalinvites create)
+  function inviteSnapshot(guildId, inv) {
+    return {
+      uses: inv.uses ?? 0,
+      inviterId: owners[guildId]?.[inv.code]?.ownerId ?? inv.inviter?.id ?? null,
+      channelId: inv.channelId ?? null,
+      maxUses: inv.maxUses ?? null,
+      createdTimestamp: inv.createdTimestamp ?? null,
+      expiresAt: inv.expiresAt ? inv.expiresAt.getTime() : null,
+    };
+  }
+
+  // Replaces the guild's invite snapshot with the live list. Returns false when
+  // the invites could not be fetched (missing permission, API error).
+  // Join attribution diffs against this snapshot, so outside of attributeJoin
+  // call it through runInJoinQueue: a refresh between a join and its queued
+  // attribution would swallow the use.
+  async function fetchAndStoreInvites(guild) {
+    if (!guild.members.me.permissions.has(PermissionsBitField.Flags.ManageGuild)) return false;
+    try {
+      const invites = await guild.invites.fetch();
+      const snapshot = {};
+      for (const inv of invites.values()) snapshot[inv.code] = inviteSnapshot(guild.id, inv);
+      invitesCache[guild.id] = snapshot;
+      inviteFetchedAt.set(guild.id, Date.now());
+      saveInvites();
+      return true;
+    } catch (e) {
+      console.warn(`[${guild.name}] Could not fetch invites: ${e.message}`);
+      return false;
+    }
+  }
+
+  async function getVanityUsesSafe(guild) {
+    try {
+      const v = await guild.fetchVanityData();
+      return v?.uses ?? 0;
+    } catch {
+      return null;
+    }
+  }
+
+  async function refreshVanityUses(guild) {
+    const uses = await getVanityUsesSafe(guild);
+    if (uses !== null) vanityUses.set(guild.id, uses);
+  }
+
+  // ---------- OFFLINE RECONCILIATION ----------
+  // While the bot is online every join and leave is handled live, so `seen.at`
+  // (refreshed by a heartbeat) bounds the window in which some could be missed.
+  const HEARTBEAT_MS = 5 * 60_000;
+  const REJOIN_SLACK_MS = 60_000; // Discord's join time vs. when we handled the join
+
+  function markSeen() {
+    const now = Date.now();
+    for (const g of client.guilds.cache.values()) {
+      seen[g.id] = { at: now, vanityUses: vanityUses.get(g.id) ?? seen[g.id]?.vanityUses ?? null };
+    }
+    saveSeen();
+  }
+
+  // Compares the stored invite snapshot and membersMap/history with the live
+  // guild: books leaves of tracked members who are gone, credits joins the use
+  // counts explain unambiguously, and returns a summary (null if nothing changed).
+  async function reconcileGuild(guild) {
+    const last = seen[guild.id];
+    const before = invitesCache[guild.id];
+    const fetched = await fetchAndStoreInvites(guild);
+    await refreshVanityUses(guild);
+    // a guild we never saw before has nothing to catch up on
+    if (!last?.at) return null;
+
+    const members = await guild.members.fetch().catch(() => null);
+    if (!members) return null;
+    const since = last.at - HEARTBEAT_MS;
+    const history = joinHistory[guild.id] ?? {};
+    const tracked = membersMap[guild.id] ?? {};
+
+    const leftIds = new Set([
+      ...Object.keys(tracked),
+      ...Object.entries(history).filter(([, e]) => !e.leftAt).map(([mid]) => mid),
+    ].filter(mid => !members.has(mid)));
+    let joiners = [];
+    for (const member of [...members.values()].sort((a, b) => a.joinedTimestamp - b.joinedTimestamp)) {
+      if (!(member.joinedTimestamp > since)) continue;
+      const entry = history[member.id];
+      if (entry && !entry.leftAt && entry.lastJoinAt && member.joinedTimestamp > entry.lastJoinAt + REJOIN_SLACK_MS) {
+        // left and came back while we were down
+        leftIds.add(member.id);
+        joiners.push(member);
+      } else if (entry ? entry.leftAt : !tracked[member.id]) {
+        joiners.push(member);
+      }
+    }
+
+    // bots come in through OAuth and never use an invite
+    const bots = joiners.filter(m => m.user.bot);
+    joiners = joiners.filter(m => !m.user.bot);
+
+    const leaves = [];
+    for (const mid of leftIds) {
+      const user = client.users.cache.get(mid) ?? null;
+      const { inviterId, counted } = await recordMemberLeave(guild, mid, { user, offline: true });
+      leaves.push({ memberId: mid, inviterId, counted });
+    }
+
+    // without both invite snapshots the joins can only be booked as unknown
+    const plan = before && fetched
+      ? planOfflineJoins({
+        before,
+        after: invitesCache[guild.id],
+        vanityBefore: last.vanityUses,
+        vanityAfter: vanityUses.get(guild.id),
+        joiners: joiners.map(m => m.id),
+        since: last.at,
+        now: Date.now(),
+      })
+      : { assignments: [], unattributed: joiners.map(m => m.id), uses: [], spareUses: 0 };
+    const credited = [];
+    for (const { memberId, use } of plan.assignments) {
+      const { inviterId } = await recordMemberJoin(guild, members.get(memberId), use, { offline: true });
+      credited.push({ memberId, inviterId, code: use.code });
+    }
+    for (const memberId of plan.unattributed) {
+      await recordMemberJoin(guild, members.get(memberId), { source: 'unknown', code: null, invite: null, confidence: 'unknown' }, { offline: true });
+    }
+    for (const member of bots) {
+      await recordMemberJoin(guild, member, { source: 'bot', code: null, invite: null, confidence: 'exact' }, { offline: true });
+      credited.push({ memberId: member.id, inviterId: 'bot', code: null });
+    }
+
+    const usedCount = plan.uses.reduce((n, u) => n + u.count, 0);
+    if (leaves.length === 0 && joiners.length === 0 && bots.length === 0 && usedCount === 0) return null;
+    return { since: last.at, leaves, credited, unattributed: plan.unattributed, spareUses: plan.spareUses };
+  }
+
+  async function postReconciliationSummary(guild, summary) {
+    const logCh = getLogChannel(guild);
+    if (!logCh || !logCh.permissionsFor(guild.members.me)?.has(PermissionsBitField.Flags.SendMessages)) return;
+    const t = guildTranslator(guild);
+    const list = (items, line) => {
+      const lines = items.slice(0, 10).map(line);
+      if (items.length > 10) lines.push(t('common.more', { count: items.length - 10 }));
+      return lines.join('\n') || t('common.none');
+    };
+    const leaveNote = (l) => (l.counted === 'fake' ? t('reconcile.countedFake') : l.counted ? '' : t('reconcile.notCounted'));
+    const embed = new EmbedBuilder()
+      .setColor(THEME)
+      .setTitle(t('reconcile.title'))
+      .setDescription(t('reconcile.description', { since: `<t:${Math.floor(summary.since / 1000)}:f>` }))
+      .addFields(
+        {
+          name: t('reconcile.credited', { count: summary.credited.length }),
+          value: list(summary.credited, c => `<@${c.memberId}> → ${mentionInviter(c.inviterId, t)}${c.code ? ` (\`${c.code}\`)` : ''}`)
+        },
+        {
+          name: t('reconcile.unattributed', { count: summary.unattributed.length }),
+          value: list(summary.unattributed, mid => `<@${mid}>`)
+        },
+        {
+          name: t('reconcile.leaves', { count: summary.leaves.length }),
+          value: list(summary.leaves, l => `<@${l.memberId}>${l.inviterId ? ` (${t('reconcile.invitedBy', { inviter: mentionInviter(l.inviterId, t) })}${leaveNote(l)})` : ''}`)
+        }
+      )
+      .setTimestamp();
+    if (summary.spareUses > 0) {
+      embed.setFooter({ text: t('reconcile.spareUses', { count: summary.spareUses }) });
+    }
+    await logCh.send({ embeds: [embed] }).catch(() => {});
+  }
+
+  // Ids of everyone currently in the guild. The member cache stays complete once
+  // filled (GuildMembers intent), so the full fetch normally happens only once.
+  async function presentMemberIds(guild) {
+    if (guild.members.cache.size < guild.memberCount) await guild.members.fetch().catch(() => null);
+    return new Set(guild.members.cache.keys());
+  }
+
+  // Replies with the first embed and flips through the rest with ◀ / ▶ buttons.
+  // Only the user who ran the command can turn pages; buttons vanish after `idleMs`.
+  async function replyPaginated(interaction, pages, { ephemeral = false, idleMs = 5 * 60_000 } = {}) {
+    const send = (payload) => (interaction.deferred || interaction.replied)
+      ? interaction.editReply(payload)
+      : interaction.reply({ ...payload, ephemeral, fetchReply: true });
+
+    if (pages.length <= 1) return send({ embeds: pages, components: [] });
+
+    let index = 0;
+    const row = () => new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId('page:prev').setEmoji('◀️').setStyle(ButtonStyle.Secondary).setDisabled(index === 0),
+      new ButtonBuilder().setCustomId('page:info').setLabel(`${index + 1} / ${pages.length}`).setStyle(ButtonStyle.Secondary).setDisabled(true),
+      new ButtonBuilder().setCustomId('page:next').setEmoji('▶️').setStyle(ButtonStyle.Secondary).setDisabled(index === pages.length - 1)
+    );
+
+    const msg = await send({ embeds: [pages[index]], components: [row()] });
+    const collector = msg.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      filter: (i) => i.user.id === interaction.user.id,
+      idle: idleMs,
+    });
+    collector.on('collect', async (i) => {
+      index = i.customId === 'page:prev' ? Math.max(0, index - 1) : Math.min(pages.length - 1, index + 1);
+      await i.update({ embeds: [pages[index]], components: [row()] }).catch(() => {});
+    });
+    collector.on('end', () => {
+      interaction.editReply({ components: [] }).catch(() => {});
+    });
+    return msg;
+  }
+
+  function chunk(arr, size) {
+    const out = [];
+    for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+    return out;
+  }
+
+  // ----- precise uptime helpers -----
+  function formatUptimeSeconds(totalSeconds) {
+    const s = totalSeconds % 60;
+    const m = Math.floor(totalSeconds / 60) % 60;
+    const h = Math.floor(totalSeconds / 3600);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}`;
+  }
+  function currentUptimeSeconds() {
+    return Math.max(0, Math.floor((Date.now() - PROCESS_START_MS) / 1000));
+  }
+
+  // ---------- STATUS PANELS ----------
+  // One scheduler serves every guild's panel: it wakes every few seconds, edits
+  // the panels that are due one after another and backs off when Discord rate limits.
+  const STATUS_TICK_MS = 5_000;
+  const STATUS_MAX_BACKOFF_MS = 15 * 60_000;
+
+  function buildStatusEmbed(guild, intervalSec) {
+    const t = guildTranslator(guild);
+    const footerIcon = client.user.displayAvatarURL({ size: 64 });
+    const now = new Date();
+    const startOfToday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const guildEvents = events[guild.id] ?? [];
+    let joinsToday = 0;
+    let lastJoin = null;
+    for (let i = guildEvents.length - 1; i >= 0; i--) {
+      const e = guildEvents[i];
+      if (e.type !== 'join') continue;
+      lastJoin ??= e;
+      if (e.at < startOfToday) break;
+      joinsToday++;
+    }
+
+    const lastAttribution = lastJoin
+      ? t('status.lastJoin', {
+        member: `<@${lastJoin.memberId}>`,
+        source: lastJoin.code ? `\`${lastJoin.code}\`` : t(`pseudo.${lastJoin.source}`, {}, lastJoin.source),
+        confidence: t(`confidence.${lastJoin.confidence ?? 'unknown'}`),
+        when: `<t:${Math.floor(lastJoin.at / 1000)}:R>`,
+      })
+      : t('status.noneYet');
+    const fetchedAt = inviteFetchedAt.get(guild.id);
+    const cacheHealth =
+      t('status.cached', { count: Object.keys(invitesCache[guild.id] ?? {}).length }) +
+      (fetchedAt ? t('status.synced', { when: `<t:${Math.floor(fetchedAt / 1000)}:R>` }) : t('status.neverSynced')) +
+      `\n${t('status.pending', { count: (pendingUses.get(guild.id) ?? []).length, backend: store.backend })}`;
+
+    return new EmbedBuilder()
+      .setColor(THEME)
+      .setTitle(t('status.title'))
+      .setDescription(t('status.active'))
+      .addFields(
+        { name: t('status.uptime'), value: '`' + formatUptimeSeconds(currentUptimeSeconds()) + '`', inline: true },
+        { name: t('status.ping'), value: `${Math.max(0, Math.round(client.ws.ping))} ms`, inline: true },
+        { name: t('status.servers'), value: `${totalGuilds ?? client.guilds.cache.size}`, inline: true },
+        { name: t('status.joinsToday'), value: `${joinsToday}`, inline: true },
+        { name: t('status.lastAttribution'), value: lastAttribution, inline: false },
+        { name: t('status.cacheHealth'), value: cacheHealth, inline: false }
+      )
+      .setFooter({ text: t('status.footer', { seconds: intervalSec }), iconURL: footerIcon })
+      .setTimestamp();
+  }
+
+  function isRateLimitError(e) {
+    return e?.status === 429 || e?.name === 'RateLimitError';
+  }
+
+  // Edits (or re-sends) one guild's panel message
+  async function updateStatusPanel(guildId, panel) {
+    const guild = client.guilds.cache.get(guildId);
+    const channel = guild?.channels.cache.get(panel.channelId);
+    if (!channel?.isTextBased()) return;
+    const payload = { embeds: [buildStatusEmbed(guild, panel.intervalSec)] };
+
+    const msg = panel.messageId ? await channel.messages.fetch(panel.messageId).catch(() => null) : null;
+    if (msg) {
+      await msg.edit(payload);
+    } else {
+      const sent = await channel.send(payload);
+      panel.messageId = sent.id;
+      saveStatus();
+    }
+  }
+
+  async function runStatusTick() {
+    if (statusTickRunning || Date.now() < statusPausedUntil || !client.isReady()) return;
+    statusTickRunning = true;
+    try {
+      for (const [guildId, panel] of Object.entries(statusStore)) {
+        const intervalMs = Math.max(STATUS_MIN_INTERVAL_S, panel.intervalSec ?? STATUS_DEFAULT_INTERVAL_S) * 1000;
+        const state = panelSchedule.get(guildId) ?? { nextAt: 0, backoffMs: 0 };
+        panelSchedule.set(guildId, state);
+        if (Date.now() < state.nextAt) continue;
+
+        try {
+          await updateStatusPanel(guildId, panel);
+          state.backoffMs = 0;
+          state.nextAt = Date.now() + intervalMs;
+        } catch (e) {
+          // double the wait on every failure, rate limits start at a full interval
+          state.backoffMs = Math.min(STATUS_MAX_BACKOFF_MS, Math.max(state.backoffMs * 2, isRateLimitError(e) ? intervalMs : 30_000));
+          state.nextAt = Date.now() + state.backoffMs;
+          if (isRateLimitError(e)) statusPausedUntil = Math.max(statusPausedUntil, Date.now() + (e.retryAfter ?? 5_000));
+        }
+      }
+    } finally {
+      statusTickRunning = false;
+    }
+  }
+
+  function startStatusUpdater() {
+    if (statusTimer) clearInterval(statusTimer);
+    statusTimer = setInterval(runStatusTick, STATUS_TICK_MS);
+    runStatusTick();
+  }
+
+  // status.json used to hold one { channelId, messageId } for the hard-coded channel
+  function migrateLegacyStatusPanel() {
+    if (typeof statusStore.channelId !== 'string') return;
+    const { channelId, messageId } = statusStore;
+    const guildId = client.channels.cache.get(channelId)?.guildId;
+    statusStore = {};
+    if (guildId) statusStore[guildId] = { channelId, messageId: messageId ?? null, intervalSec: STATUS_DEFAULT_INTERVAL_S };
+    saveStatus();
+  }
+
+  // ---------- REJOIN DETECTION ----------
+  function formatDuration(ms, t) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const d = Math.floor(total / 86400);
+    const h = Math.floor(total / 3600) % 24;
+    const m = Math.floor(total / 60) % 60;
+    if (d > 0) return t('time.days', { d, h });
+    if (h > 0) return t('time.hours', { h, m });
+    if (m > 0) return t('time.minutes', { m });
+    return t('time.seconds', { s: total % 60 });
+  }
+
+  // Records a join in the member's history. A member counts as rejoining when we have seen
+  // them before, either in the history or as a leftover membersMap entry from older versions.
+  // `kind` is the counter this join belongs to (joins, rejoins or fake) and `credited`
+  // marks whether this stay added to the inviter's joins (and so may add a leave).
+  // A rejoin never adds credit, but coming back through the inviter the last leave was
+  // counted against undoes that leave (`leaveUndone`): the first join counts again, so
+  // the inviter isn't left at 0 while the member is back, and a new leave counts again.
+  function recordJoinHistory(guildId, memberId, { inviterId, code, confidence, isFake, at = Date.now() }) {
+    joinHistory[guildId] ??= {};
+    const now = at;
+    const legacyInviter = membersMap[guildId]?.[memberId] ?? null;
+    let entry = joinHistory[guildId][memberId];
+
+    if (!entry) {
+      entry = {
+        firstJoinAt: legacyInviter ? null : now,
+        lastJoinAt: null,
+        joinCount: legacyInviter ? 1 : 0,
+        inviters: legacyInviter ? [legacyInviter] : [],
+        credited: false,
+      };
+      joinHistory[guildId][memberId] = entry;
+    }
+
+    const isRejoin = entry.joinCount > 0;
+    const kind = isFake ? 'fake' : isRejoin ? 'rejoins' : 'joins';
+    const leaveUndone = kind === 'rejoins' && entry.leaveCounted === true && Boolean(inviterId) && entry.inviterId === inviterId;
+    entry.joinCount += 1;
+    entry.lastJoinAt = now;
+    entry.inviterId = inviterId ?? null;
+    entry.lastCode = code ?? null;
+    entry.confidence = confidence;
+    entry.kind = kind;
+    entry.credited = Boolean(inviterId && (kind === 'joins' || leaveUndone));
+    entry.leaveUndone = leaveUndone;
+    entry.leftAt = null;
+    entry.leaveCounted = null;
+    if (inviterId && !entry.inviters.includes(inviterId)) entry.inviters.push(inviterId);
+    saveHistory();
+
+    return { isRejoin, rejoinCount: entry.joinCount - 1, kind, leaveUndone };
+  }
+
+  // ---------- FAKE DETECTION ----------
+  function getFakeRules(guildId) {
+    return { ...DEFAULT_FAKE_RULES, ...(settings[guildId]?.fake ?? {}) };
+  }
+
+  // Returns the list of reasons a joining member looks like an alt (empty = legit)
+  function detectFake(member, rules, t) {
+    const reasons = [];
+    const user = member.user;
+
+    if (rules.minAccountAgeDays > 0) {
+      const ageMs = Date.now() - user.createdTimestamp;
+      if (ageMs < rules.minAccountAgeDays * 86_400_000) {
+        reasons.push(t('fake.reasons.age', { days: rules.minAccountAgeDays }));
+      }
+    }
+
+    if (rules.defaultAvatar && !user.avatar) reasons.push(t('fake.reasons.avatar'));
+
+    if (rules.namePattern) {
+      try {
+        const re = new RegExp(rules.namePattern, 'i');
+        if (re.test(user.username) || (user.globalName && re.test(user.globalName))) {
+          reasons.push(t('fake.reasons.name'));
+        }
+      } catch { /* invalid pattern is rejected on save; ignore here */ }
+    }
+
+    return reasons;
+  }
+
+  function describeFakeRules(rules, t) {
+    const off = `**${t('common.off')}**`;
+    return [
+      t('fake.rules.minAge', { value: rules.minAccountAgeDays > 0 ? t('fake.rules.days', { days: rules.minAccountAgeDays }) : t('common.off') }),
+      t('fake.rules.avatar', { value: t(rules.defaultAvatar ? 'common.yes' : 'common.no') }),
+      t('fake.rules.pattern', { value: rules.namePattern ? `\`${rules.namePattern}\`` : off }),
+      t('fake.rules.leaveWithin', { value: rules.leaveWithinHours > 0 ? t('fake.rules.hours', { hours: rules.leaveWithinHours }) : off }),
+    ].join('\n');
+  }
+
+  // ---------- EVENT LOG & PERIODS ----------
+  // Every change to a stats counter is mirrored by one event, so aggregating the
+  // log reproduces the counters of a period:
+  //   join  { memberId, inviterId, code, source: invite|vanity|oauth|unknown, confidence, counted: joins|rejoins|fake|null }
+  //         (leaveUndone: true = a rejoin that takes back the member's last counted leave)
+  //   leave { memberId, inviterId, code, joinedAt, counted: boolean | 'fake' }
+  //         (both carry offline: true when found by reconciliation after a restart)
+  //         ('fake' = left within leaveWithinHours: the join moves from joins to fake)
+  //   bonus { userId, amount, by }
+  //   adjust { userId, deltas: { joins, leaves, ... }, by }  (staff corrections)
+  //   reset  { userId | null, by }  (null = whole guild)
+  // The log is never trimmed; the store appends each event instead of saving it whole.
+  function recordEvent(guildId, event) {
+    const entry = { at: Date.now(), ...event };
+    events[guildId] ??= [];
+    events[guildId].push(entry);
+    store.append('events', guildId, entry);
+  }
+
+  // Per-user counters (same shape as `stats`) for events with from <= at < to
+  function aggregateEvents(guildId, from, to) {
+    const out = {};
+    for (const e of events[guildId] ?? []) {
+      if (e.at < from || e.at >= to) continue;
+      if (e.type === 'join' && e.inviterId && e.counted) {
+        out[e.inviterId] ??= emptyStats();
+        out[e.inviterId][e.counted] += 1;
+        if (e.leaveUndone) out[e.inviterId].leaves -= 1;
+        out[e.inviterId].lastInviteCode = e.code ?? null;
+      } else if (e.type === 'leave' && e.inviterId && e.counted) {
+        out[e.inviterId] ??= emptyStats();
+        if (e.counted === 'fake') {
+          out[e.inviterId].joins -= 1;
+          out[e.inviterId].fake += 1;
+        } else {
+          out[e.inviterId].leaves += 1;
+        }
+      } else if (e.type === 'bonus') {
+        out[e.userId] ??= emptyStats();
+        out[e.userId].bonus += e.amount;
+      } else if (e.type === 'adjust') {
+        out[e.userId] ??= emptyStats();
+        addDeltas(out[e.userId], e.deltas);
+      } else if (e.type === 'reset') {
+        if (e.userId) delete out[e.userId];
+        else for (const uid of Object.keys(out)) delete out[uid];
+      }
+    }
+    return out;
+  }
+
+  function parseDateOption(value, endOfDay) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value?.trim() ?? '');
+    if (!m) return null;
+    const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + (endOfDay ? 1 : 0));
+    return Number.isNaN(ms) ? null : ms;
+  }
+
+  // Turns period/from/to (slash options or query string) into a time window.
+  // Windows are in UTC; weeks start on Monday. Returns { from, to, label, all } or { error },
+  // with the label and error in the language of `t`.
+  function resolvePeriod({ period: periodOpt, from: fromOpt, to: toOpt }, t = EN) {
+    const period = periodOpt ?? ((fromOpt || toOpt) ? 'custom' : 'all');
+    const now = new Date();
+    const startOfToday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const end = now.getTime() + 1;
+
+    switch (period) {
+      case 'all':
+        return { from: 0, to: end, label: t('period.all'), all: true };
+      case 'today':
+        return { from: startOfToday, to: end, label: t('period.today') };
+      case 'week':
+        return { from: startOfToday - ((now.getUTCDay() + 6) % 7) * 86_400_000, to: end, label: t('period.week') };
+      case 'month':
+        return { from: Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1), to: end, label: t('period.month') };
+      case 'custom': {
+        const from = fromOpt ? parseDateOption(fromOpt, false) : 0;
+        const to = toOpt ? parseDateOption(toOpt, true) : end;
+        if (from === null || to === null) return { error: t('period.errors.format') };
+        if (from >= to) return { error: t('period.errors.order') };
+        return { from, to, label: `${fromOpt ?? t('period.start')} → ${toOpt ?? t('period.now')}` };
+      }
+      default:
+        return { error: t('period.errors.unknown') };
+    }
+  }
+
+  function periodOptions(interaction) {
+    return {
+      period: interaction.options.getString('period'),
+      from: interaction.options.getString('from'),
+      to: interaction.options.getString('to'),
+    };
+  }
+
+  // Indirect credit per user for joins in `period`, or null when the guild hasn't
+  // turned it on (`credit.indirectPct`)
+  function indirectForPeriod(guildId, period) {
+    const pct = readConfig(settings[guildId], 'credit.indirectPct');
+    if (!pct) return null;
+    return indirectCredits(buildReferralIndex(membersMap[guildId], joinHistory[guildId]), pct, period);
+  }
+
+  // Stats for one user or the whole guild in the given period
+  function statsForPeriod(guildId, period) {
+    if (period.all) return stats[guildId] ?? {};
+    return aggregateEvents(guildId, period.from, period.to);
+  }
+
+  // ---------- INVITE CODE ANALYTICS ----------
+  function isInviteActive(inv, now = Date.now()) {
+    if (inv.expiresAt && inv.expiresAt <= now) return false;
+    if (inv.maxUses && (inv.uses ?? 0) >= inv.maxUses) return false;
+    return true;
+  }
+
+  // code -> { joined, stillHere } for members we attributed to that code.
+  // Older members without a recorded code fall back to their inviter's last used code.
+  function codeRetention(guildId) {
+    const out = new Map();
+    const bump = (code, here) => {
+      if (!code) return;
+      const r = out.get(code) ?? { joined: 0, stillHere: 0 };
+      r.joined += 1;
+      if (here) r.stillHere += 1;
+      out.set(code, r);
+    };
+
+    const present = membersMap[guildId] ?? {};
+    const history = joinHistory[guildId] ?? {};
+    for (const [memberId, entry] of Object.entries(history)) {
+      bump(entry.lastCode, memberId in present);
+    }
+    for (const [memberId, inviterId] of Object.entries(present)) {
+      if (history[memberId]?.lastCode) continue;
+      bump(stats[guildId]?.[inviterId]?.lastInviteCode, true);
+    }
+    return out;
+  }
+
+  function formatInviteLine(code, inv, retention, t) {
+    const left = Math.max(0, inv.maxUses - (inv.uses ?? 0));
+    const uses = inv.maxUses ? t('inviteInfo.usesLeft', { uses: inv.uses ?? 0, max: inv.maxUses, left }) : `${inv.uses ?? 0}`;
+    const expires = inv.expiresAt ? `<t:${Math.floor(inv.expiresAt / 1000)}:R>` : t('common.never');
+    const r = retention.get(code);
+    return `\`${code}\` · ${inv.inviterId ? `<@${inv.inviterId}>` : `\`${t('common.unknown')}\``} · ` +
+      `${inv.channelId ? `<#${inv.channelId}>` : '`?`'}\n` +
+      t('inviteInfo.line', { uses, expires, retention: r ? `${r.stillHere}/${r.joined}` : '0/0' });
+  }
+
+  function buildInviteInfoEmbed(guildId, code, inv, t) {
+    const r = codeRetention(guildId).get(code) ?? { joined: 0, stillHere: 0 };
+    const pct = r.joined ? Math.round((r.stillHere / r.joined) * 100) : 0;
+    const ts = (ms, style) => ms ? `<t:${Math.floor(ms / 1000)}:${style}>` : t('common.never');
+    const unknown = `\`${t('common.unknown')}\``;
+    return new EmbedBuilder()
+      .setColor(THEME)
+      .setTitle(t('inviteInfo.title', { code }))
+      .setDescription(isInviteActive(inv) ? t('inviteInfo.active') : t('inviteInfo.inactive'))
+      .addFields(
+        { name: t('inviteInfo.inviter'), value: inv.inviterId ? `<@${inv.inviterId}>` : unknown, inline: true },
+        { name: t('inviteInfo.channel'), value: inv.channelId ? `<#${inv.channelId}>` : unknown, inline: true },
+        { name: t('inviteInfo.uses'), value: `**${inv.uses ?? 0}**${inv.maxUses ? ` / ${inv.maxUses}` : ''}`, inline: true },
+        { name: t('inviteInfo.remaining'), value: inv.maxUses ? `**${Math.max(0, inv.maxUses - (inv.uses ?? 0))}**` : '∞', inline: true },
+        { name: t('inviteInfo.created'), value: ts(inv.createdTimestamp, 'R'), inline: true },
+        { name: t('inviteInfo.expires'), value: ts(inv.expiresAt, 'R'), inline: true },
+        { name: t('inviteInfo.joined'), value: `**${r.joined}**`, inline: true },
+        { name: t('inviteInfo.stillHere'), value: `**${r.stillHere}** (${pct}%)`, inline: true }
+      )
+      .setTimestamp();
+  }
+
+  // ---------- JOIN ATTRIBUTION ----------
+  // Attribution for one guild runs strictly one join at a time, so two handlers
+  // never diff against the same snapshot.
+  function runInJoinQueue(guildId, task) {
+    const prev = joinQueues.get(guildId) ?? Promise.resolve();
+    const run = prev.then(task, task);
+    const tail = run.catch(() => {});
+    joinQueues.set(guildId, tail);
+    tail.then(() => {
+      if (joinQueues.get(guildId) === tail) joinQueues.delete(guildId);
+    });
+    return run;
+  }
+
+  // Snapshot to diff against: the cached invites plus any deleted in the last
+  // minute, since invites that hit maxUses are deleted right before the join.
+  function attributionBaseline(guildId, now) {
+    const deleted = recentlyDeleted.get(guildId) ?? {};
+    const base = {};
+    for (const [code, inv] of Object.entries(deleted)) {
+      if (now - inv.deletedAt <= JUST_EXPIRED_MS) base[code] = inv;
+      else delete deleted[code];
+    }
+    return { ...base, ...(invitesCache[guildId] ?? {}) };
+  }
+
+  // Returns { source: invite|vanity|unknown, code, invite, confidence: exact|inferred|unknown }
+  async function attributeJoin(guild) {
+    const now = Date.now();
+    const before = attributionBaseline(guild.id, now);
+    const fetched = await fetchAndStoreInvites(guild);
+    const after = invitesCache[guild.id] ?? {};
+
+    const pending = pendingUses.get(guild.id) ?? [];
+    pendingUses.set(guild.id, pending);
+    if (fetched) collectNewUses(pending, before, after, now);
+
+    const vanityBefore = vanityUses.get(guild.id);
+    await refreshVanityUses(guild);
+    collectVanityUses(pending, vanityBefore, vanityUses.get(guild.id), now);
+
+    const use = claimUse(pending, now) ?? (fetched ? inferDisappeared(before, after, now) : null);
+    if (use?.code) delete recentlyDeleted.get(guild.id)?.[use.code];
+    if (use) return use;
+    // no invite or vanity use moved: an OAuth/integration join, if we could see the invites at all
+    return { source: fetched ? 'oauth' : 'unknown', code: null, invite: null, confidence: fetched ? 'inferred' : 'unknown' };
+  }
+
+  // ---------- JOIN SOURCES ----------
+  // Who a join is credited to: the invite's creator (or, for a personal invite,
+  // its owner), or a pseudo-inviter for joins without one (see PSEUDO_INVITERS).
+  // Vanity joins can be credited to a configured user or role instead. Nobody
+  // is credited during raid mode or a held join burst.
+  function creditFor(guildId, source, invite) {
+    if (settings[guildId]?.raidMode || isBurstHeld(guildId, invite?.code)) return 'raid';
+    if (source === 'invite') {
+      if (invite?.channelId && settings[guildId]?.ignoredChannels?.includes(invite.channelId)) return 'unknown';
+      return owners[guildId]?.[invite?.code]?.ownerId ?? invite?.inviterId ?? 'unknown';
+    }
+    if (source === 'vanity') {
+      const target = settings[guildId]?.vanityCredit;
+      if (target?.type === 'user') return target.id;
+      if (target?.type === 'role') return `role:${target.id}`;
+    }
+    return source;
+  }
+
+  function mentionInviter(id, t) {
+    if (!id) return `\`${t('common.unknown')}\``;
+    if (Object.hasOwn(PSEUDO_INVITERS, id)) return `\`${t(`pseudo.${id}`, {}, PSEUDO_INVITERS[id])}\``;
+    if (id.startsWith('role:')) return `<@&${id.slice(5)}>`;
+    return `<@${id}>`;
+  }
+
+  // ---------- RAID DETECTION ----------
+  function getRaidRules(guildId) {
+    return { ...DEFAULT_RAID_RULES, ...(settings[guildId]?.raid ?? {}) };
+  }
+
+  function isBurstHeld(guildId, code) {
+    if (!code || !getRaidRules(guildId).holdCredit) return false;
+    return (joinBursts.get(guildId)?.[code]?.flaggedUntil ?? 0) > Date.now();
+  }
+
+  // Adds an invite join to its code's window. A new burst alerts staff, holds the
+  // burst's joins back from the inviter and runs the configured action; while it
+  // lasts, further joins through the code are held without another alert.
+  async function checkJoinBurst(guild, member, code, inviterId) {
+    const rules = getRaidRules(guild.id);
+    if (rules.joins <= 0 && rules.youngSharePct <= 0) return;
+    const now = Date.now();
+    const windowMs = rules.windowSeconds * 1000;
+    if (!joinBursts.has(guild.id)) joinBursts.set(guild.id, {});
+    const bursts = joinBursts.get(guild.id);
+    for (const [c, b] of Object.entries(bursts)) {
+      if (b.flaggedUntil <= now && (b.joins.at(-1)?.at ?? 0) <= now - windowMs) delete bursts[c];
+    }
+
+    const burst = bursts[code] ??= { joins: [], flaggedUntil: 0 };
+    const young = now - member.user.createdTimestamp < rules.youngAccountDays * 86_400_000;
+    trackJoin(burst.joins, { at: now, memberId: member.id, inviterId, young }, rules);
+    if (burst.flaggedUntil > now) {
+      burst.flaggedUntil = now + windowMs;
+      // a racing join credited just before the burst was flagged
+      if (rules.holdCredit && inviterId && !isPseudoInviter(inviterId)) {
+        await reassignInviter(guild, member.id, 'raid', client.user.id).catch(() => {});
+      }
+      return;
+    }
+    if (!burstReason(burst.joins, rules)) return;
+    burst.flaggedUntil = now + windowMs;
+    await handleRaid(guild, code, burst.joins.slice(), rules);
+  }
+
+  async function handleRaid(guild, code, joins, rules) {
+    const reason = burstReason(joins, rules);
+    const inviterId = invitesCache[guild.id]?.[code]?.inviterId
+      ?? joins.find(j => j.inviterId && !isPseudoInviter(j.inviterId))?.inviterId
+      ?? null;
+    console.warn(`[${guild.name}] Possible raid through ${code}: ${reason}`);
+
+    let held = 0;
+    if (rules.holdCredit) {
+      for (const j of joins) {
+        if (!j.inviterId || isPseudoInviter(j.inviterId)) continue;
+        const { changed } = await reassignInviter(guild, j.memberId, 'raid', client.user.id).catch(() => ({ changed: false }));
+        if (changed) held++;
+      }
+    }
+
+    // [key, vars] of the outcome, rendered in English for the audit log and in
+    // the guild's language for the alert
+    let action = null;
+    if (rules.action === 'delete') {
+      action = await guild.invites.delete(code, `Raid detected: ${reason}`)
+        .then(() => ['raid.deleted', { code }], (e) => ['raid.deleteFailed', { code, error: e.message }]);
+    } else if (rules.action === 'pause') {
+      action = await guild.disableInvites(true)
+        .then(() => ['raid.paused', {}], (e) => ['raid.pauseFailed', { error: e.message }]);
+    }
+    const actionTaken = action ? EN(...action) : null;
+
+    recordAudit(guild.id, { action: 'raid', by: client.user.id, code, inviterId, reason, joins: joins.length, held, actionTaken });
+    webhooks.emit(guild.id, 'raid.detected', {
+      code,
+      inviter: webhookUser(inviterId ? client.users.cache.get(inviterId) : null, inviterId),
+      reason,
+      joins: joins.map(j => j.memberId),
+      held,
+      action: rules.action,
+    });
+
+    const logCh = getLogChannel(guild, 'join');
+    if (!logCh || !logCh.permissionsFor(guild.members.me)?.has(PermissionsBitField.Flags.SendMessages)) return;
+    const t = guildTranslator(guild);
+    const embed = new EmbedBuilder()
+      .setColor(THEME)
+      .setTitle(t('raid.title'))
+      .setDescription(t('raid.description', { code, inviter: mentionInviter(inviterId, t), reason: burstReason(joins, rules, t) }))
+      .addFields(
+        { name: t('raid.members'), value: joins.slice(-15).map(j => `<@${j.memberId}>`).join(' ') || t('common.none') },
+        {
+          name: t('raid.credit'),
+          value: rules.holdCredit ? t('raid.held', { held, raid: t('pseudo.raid') }) : t('raid.notHeld')
+        },
+        { name: t('raid.action'), value: action ? t(...action) : t('raid.noAction') }
+      )
+      .setFooter({ text: t('raid.footer') })
+      .setTimestamp();
+    await logCh.send({
+      content: rules.alertRoleId ? `<@&${rules.alertRoleId}>` : undefined,
+      embeds: [embed],
+      allowedMentions: { roles: rules.alertRoleId ? [rules.alertRoleId] : [] },
+    }).catch(() => {});
+  }
+
+  // ---------- INVITER CORRECTIONS & AUDIT ----------
+  function addDeltas(target, deltas, sign = 1) {
+    for (const [key, value] of Object.entries(deltas)) target[key] = (target[key] ?? 0) + sign * value;
+  }
+
+  // What a member's stay adds to its inviter's counters: the join itself (and the
+  // earlier leave a rejoin undid) plus, once the member is gone, how their leave was counted.
+  function memberCredit(kind, present, leaveCounted, leaveUndone = false) {
+    const deltas = { [kind]: 1 };
+    if (leaveUndone) deltas.leaves = -1;
+    if (!present && leaveCounted === 'fake') addDeltas(deltas, { joins: -1, fake: 1 });
+    else if (!present && leaveCounted) addDeltas(deltas, { leaves: 1 });
+    return deltas;
+  }
+
+  // Applies counter changes for a staff correction and mirrors them in the event log
+  function adjustStats(guildId, userId, deltas, by) {
+    stats[guildId] ??= {};
+    stats[guildId][userId] ??= emptyStats();
+    addDeltas(stats[guildId][userId], deltas);
+    saveStats();
+    recordEvent(guildId, { type: 'adjust', userId, deltas, by });
+  }
+
+  const AUDIT_LIMIT = 1000; // newest entries kept per guild
+
+  function recordAudit(guildId, entry) {
+    audit[guildId] ??= [];
+    audit[guildId].push({ at: Date.now(), ...entry });
+    if (audit[guildId].length > AUDIT_LIMIT) audit[guildId].splice(0, audit[guildId].length - AUDIT_LIMIT);
+    saveAudit();
+  }
+
+  // History entry for a member only known from membersMap (tracked before join history existed)
+  function legacyHistoryEntry(inviterId, { credited, leaveCounted = null }) {
+    return {
+      firstJoinAt: null,
+      lastJoinAt: null,
+      joinCount: 1,
+      inviters: inviterId ? [inviterId] : [],
+      inviterId,
+      lastCode: null,
+      confidence: 'unknown',
+      kind: 'joins',
+      credited,
+      leftAt: null,
+      leaveCounted,
+    };
+  }
+
+  // Moves a member's join (and leave) credit from their current inviter to
+  // `newInviterId`, or drops it when `newInviterId` is null.
+  // Returns { oldInviterId, changed }.
+  async function reassignInviter(guild, memberId, newInviterId, by) {
+    const gid = guild.id;
+    membersMap[gid] ??= {};
+    joinHistory[gid] ??= {};
+    const present = await guild.members.fetch(memberId).then(() => true, () => false);
+    let entry = joinHistory[gid][memberId];
+    const oldInviterId = membersMap[gid][memberId] ?? entry?.inviterId ?? null;
+    if (oldInviterId === newInviterId) return { oldInviterId, changed: false };
+
+    if (!entry) {
+      // tracked before join history existed: a plain join, and its leave was counted
+      entry = legacyHistoryEntry(oldInviterId, {
+        credited: present && Boolean(oldInviterId),
+        leaveCounted: oldInviterId && !present ? true : null,
+      });
+      joinHistory[gid][memberId] = entry;
+    }
+    const kind = entry.kind ?? 'joins';
+
+    if (oldInviterId) {
+      const undo = {};
+      addDeltas(undo, memberCredit(kind, present, entry.leaveCounted, entry.leaveUndone), -1);
+      adjustStats(gid, oldInviterId, undo, by);
+    }
+    if (newInviterId) {
+      // a leave only counts against a credited (plain) join
+      const leaveCounted = !present && kind === 'joins' ? (entry.leaveCounted === 'fake' ? 'fake' : true) : false;
+      adjustStats(gid, newInviterId, memberCredit(kind, present, leaveCounted), by);
+      entry.leaveCounted = present ? null : leaveCounted;
+      if (!entry.inviters.includes(newInviterId)) entry.inviters.push(newInviterId);
+    } else if (!present) {
+      entry.leaveCounted = false;
+    }
+
+    // the undone leave belongs to the old inviter; for the new one this is a plain rejoin
+    entry.inviterId = newInviterId;
+    entry.leaveUndone = false;
+    entry.credited = present && Boolean(newInviterId) && kind === 'joins';
+    if (present && newInviterId) membersMap[gid][memberId] = newInviterId;
+    else delete membersMap[gid][memberId];
+    saveHistory();
+    saveMembers();
+
+    recordAudit(gid, {
+      action: newInviterId ? 'setinviter' : 'removeinviter',
+      by,
+      memberId,
+      from: oldInviterId,
+      to: newInviterId,
+    });
+    if (oldInviterId) await applyRewardRoles(guild, oldInviterId);
+    if (newInviterId) await applyRewardRoles(guild, newInviterId);
+    return { oldInviterId, changed: true };
+  }
+
+  // Zeroes the counters of one user (or everyone) and stops their tracked members'
+  // future leaves from counting, so the reset isn't undone into negatives.
+  function resetInviteStats(guildId, userId, by) {
+    const targets = userId ? [userId] : Object.keys(stats[guildId] ?? {});
+    const before = {};
+    for (const uid of targets) {
+      if (stats[guildId]?.[uid]) before[uid] = { ...stats[guildId][uid] };
+    }
+    if (userId) {
+      stats[guildId] ??= {};
+      stats[guildId][userId] = emptyStats();
+    } else {
+      stats[guildId] = {};
+    }
+    saveStats();
+
+    joinHistory[guildId] ??= {};
+    for (const entry of Object.values(joinHistory[guildId])) {
+      if (!userId || entry.inviterId === userId) entry.credited = false;
+    }
+    // members from before join history only have a membersMap entry
+    for (const [memberId, inviterId] of Object.entries(membersMap[guildId] ?? {})) {
+      if (joinHistory[guildId][memberId] || (userId && inviterId !== userId)) continue;
+      joinHistory[guildId][memberId] = legacyHistoryEntry(inviterId, { credited: false });
+    }
+    saveHistory();
+
+    recordEvent(guildId, { type: 'reset', userId: userId ?? null, by });
+    recordAudit(guildId, { action: 'reset', by, targetId: userId ?? null, before });
+    return targets.length;
+  }
+
+  const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+  // After an import (slash command or API) the reward roles follow the new totals
+  async function syncImportedRewards(guild) {
+    if (getRewardSettings(guild.id).tiers.length > 0) await syncRewardRoles(guild).catch(() => null);
+  }
+
+  // Writes a planned import (see transfer.planImport) and mirrors it in the event
+  // log: replace = a guild reset followed by one adjust per user, merge = adjusts.
+  function applyImport(guildId, plan, by, source) {
+    const { mode, next } = plan;
+    const replacedStats = mode === 'replace' && plan.replacesStats;
+    if (replacedStats) {
+      recordEvent(guildId, { type: 'reset', userId: null, by });
+      for (const [uid, s] of Object.entries(next.stats)) {
+        recordEvent(guildId, { type: 'adjust', userId: uid, deltas: pickStatFields(s), by });
+      }
+    } else {
+      for (const { userId, before, after } of plan.changes) {
+        const deltas = pickStatFields(after);
+        if (before) addDeltas(deltas, pickStatFields(before), -1);
+        recordEvent(guildId, { type: 'adjust', userId, deltas, by });
+      }
+    }
+    stats[guildId] = next.stats;
+    membersMap[guildId] = next.members;
+    saveStats();
+    saveMembers();
+
+    // Imported counters already include the joins of the mapped members, so their
+    // later leaves count; after a replace nobody else's do.
+    for (const [mid, entry] of Object.entries(joinHistory[guildId] ?? {})) {
+      const inviterId = next.members[mid];
+      if (inviterId) entry.inviterId = inviterId;
+      if (replacedStats) entry.credited = Boolean(inviterId) && !entry.leftAt && (entry.kind ?? 'joins') === 'joins';
+    }
+    saveHistory();
+
+    recordAudit(guildId, {
+      action: 'import',
+      by,
+      mode,
+      source,
+      users: plan.changes.length,
+      removed: plan.removed.length,
+      members: plan.membersAdded + plan.membersChanged,
+    });
+  }
+
+  // Parses an uploaded file and plans the import against the current data
+  function prepareImport(guildId, text, filename, mode) {
+    const parsed = parseImport(text, filename);
+    if (parsed.errorCount > 0) return { errors: parsed.errors, errorCount: parsed.errorCount };
+    const plan = planImport({ stats: stats[guildId] ?? {}, members: membersMap[guildId] ?? {} }, parsed, mode);
+    return { plan };
+  }
+
+  function describeImportPlan(plan, t) {
+    const lines = plan.changes.slice(0, 10).map(({ userId, before, after }) => t('import.change', {
+      user: mentionInviter(userId, t),
+      before: before ? computeTotal(before) : t('import.new'),
+      after: computeTotal(after),
+    }));
+    if (plan.changes.length > 10) lines.push(t('common.more', { count: plan.changes.length - 10 }));
+    return new EmbedBuilder()
+      .setColor(THEME)
+      .setTitle(t('import.title', { mode: plan.mode }))
+      .setDescription(lines.join('\n') || t('import.noChanges'))
+      .addFields(
+        { name: t('import.usersChanged'), value: String(plan.changes.length), inline: true },
+        { name: t('import.usersRemoved'), value: String(plan.removed.length), inline: true },
+        {
+          name: t('import.members'),
+          value: t('import.membersValue', { added: plan.membersAdded, changed: plan.membersChanged, removed: plan.membersRemoved }),
+          inline: false
+        }
+      );
+  }
+
+  function pickStatFields(s) {
+    return Object.fromEntries(STAT_FIELDS.map(f => [f, s?.[f] ?? 0]));
+  }
+
+  function describeAuditEntry(e, t) {
+    const when = `<t:${Math.floor(e.at / 1000)}:f>`;
+    const by = `<@${e.by}>`;
+    const who = (id) => (id ? mentionInviter(id, t) : t('audit.nobody'));
+    switch (e.action) {
+      case 'setinviter':
+        return t('audit.setinviter', { when, by, member: who(e.memberId), from: who(e.from), to: who(e.to) });
+      case 'removeinviter':
+        return t('audit.removeinviter', { when, by, from: who(e.from), member: who(e.memberId) });
+      case 'reset':
+        return t('audit.reset', { when, by, target: e.targetId ? who(e.targetId) : t('audit.everyone') });
+      case 'import':
+        return t('audit.import', {
+          when, by, via: e.source === 'api' ? t('audit.viaApi') : '', mode: e.mode, users: e.users, members: e.members,
+        });
+      case 'bonus':
+        return t('audit.bonus', { when, by, target: who(e.targetId), amount: e.amount > 0 ? `+${e.amount}` : e.amount });
+      case 'raid':
+        return t('audit.raid', { when, code: e.code, reason: e.reason, held: e.held, inviter: who(e.inviterId) });
+      case 'raidmode':
+        return t('audit.raidmode', { when, by, state: t(e.on ? 'common.on' : 'common.off') });
+      default:
+        return t('audit.other', { when, by, action: e.action });
+    }
+  }
+
+  // ---------- OUTGOING WEBHOOKS ----------
+  const webhooks = createWebhookDispatcher({
+    getSubscriptions: (guildId) => settings[guildId]?.webhooks ?? [],
+    onResult(guildId, subId, result) {
+      const sub = settings[guildId]?.webhooks?.find(w => w.id === subId);
+      if (!sub) return;
+      sub.lastDelivery = result;
+      saveSettings();
+    },
+  });
+
+  function webhookUser(user, id) {
+    if (!user) return id ? { id, tag: null } : null;
+    return { id: user.id, tag: user.tag, bot: Boolean(user.bot) };
+  }
+
+  function inviterTotals(guildId, inviterId) {
+    if (!inviterId) return null;
+    const s = stats[guildId]?.[inviterId] ?? emptyStats();
+    return { joins: s.joins, leaves: s.leaves, bonus: s.bonus, fake: s.fake, rejoins: s.rejoins, total: computeTotal(s) };
+  }
+
+  function webhookInvite(code, inv) {
+    return {
+      code,
+      inviterId: inv.inviterId ?? null,
+      channelId: inv.channelId ?? null,
+      uses: inv.uses ?? 0,
+      maxUses: inv.maxUses || null,
+      expiresAt: inv.expiresAt ?? null,
+    };
+  }
+
+  // ---------- LOG TEMPLATES ----------
+  // Without a custom text the default template of the guild's language is used
+  function getTemplate(guild, type) {
+    const text = guildTranslator(guild)(`templates.defaults.${type}`, {}, DEFAULT_TEMPLATES[type].text);
+    return { ...DEFAULT_TEMPLATES[type], text, ...(settings[guild.id]?.templates?.[type] ?? {}) };
+  }
+
+  function buildLogPayload(template, vars, user) {
+    const text = renderTemplate(template.text, vars);
+    if (template.mode !== 'embed') return { content: text.slice(0, 2000) };
+    const embed = new EmbedBuilder()
+      .setColor(THEME)
+      .setAuthor({ name: user.tag, iconURL: user.displayAvatarURL() })
+      .setDescription(text.slice(0, 4096))
+      .setTimestamp();
+    return { embeds: [embed] };
+  }
+
+  // Sends the rendered `type` template to the join or leave log channel
+  async function sendTemplatedLog(guild, type, vars, user) {
+    const logCh = getLogChannel(guild, type === 'leave' ? 'leave' : 'join');
+    if (!logCh || !logCh.permissionsFor(guild.members.me)?.has(PermissionsBitField.Flags.SendMessages)) return;
+    await logCh.send(buildLogPayload(getTemplate(guild, type), vars, user)).catch(() => {});
+  }
+
+  function sampleTemplateVars(interaction, t) {
+    const user = interaction.user;
+    return {
+      user: `<@${user.id}>`,
+      userTag: user.tag,
+      userId: user.id,
+      inviter: `<@${user.id}>`,
+      inviterId: user.id,
+      code: 'abc123',
+      source: t('pseudo.invite'),
+      confidence: t('confidence.exact'),
+      inviterTotal: computeTotal(stats[interaction.guildId]?.[user.id]),
+      memberCount: interaction.guild.memberCount,
+      guild: interaction.guild.name,
+      accountAge: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`,
+      joinedAt: `<t:${Math.floor((Date.now() - 3 * 86_400_000) / 1000)}:f>`,
+      timeInServer: formatDuration(3 * 86_400_000 + 5 * 3_600_000, t),
+      rejoin: t('templates.rejoin', { ordinal: ordinal(t.lang, 2) }),
+      fake: t('templates.fakeJoin', { reasons: t('fake.reasons.age', { days: 7 }) }),
+    };
+  }
+
+  // ---------- REWARD ROLES ----------
+  function getRewardSettings(guildId) {
+    const r = settings[guildId]?.rewards ?? {};
+    return { stack: r.stack ?? true, tiers: [...(r.tiers ?? [])].sort((a, b) => a.threshold - b.threshold) };
+  }
+
+  // Which reward role ids a user with `total` invites should hold
+  function desiredRewardRoles(rewards, total) {
+    const reached = rewards.tiers.filter(t => total >= t.threshold);
+    if (reached.length === 0) return new Set();
+    if (rewards.stack) return new Set(reached.map(t => t.roleId));
+    return new Set([reached[reached.length - 1].roleId]);
+  }
+
+  // Grants/removes tier roles so the member matches their current total.
+  // `member` may be a GuildMember or a user id (fetched on demand).
+  async function applyRewardRoles(guild, member) {
+    const rewards = getRewardSettings(guild.id);
+    if (rewards.tiers.length === 0) return;
+    if (!guild.members.me.permissions.has(PermissionsBitField.Flags.ManageRoles)) return;
+
+    if (typeof member === 'string') {
+      if (isPseudoInviter(member)) return;
+      member = await guild.members.fetch(member).catch(() => null);
+    }
+    if (!member || member.user.bot) return;
+
+    const total = computeTotal(stats[guild.id]?.[member.id]);
+    const want = desiredRewardRoles(rewards, total);
+    const toAdd = [];
+    const toRemove = [];
+    for (const { roleId } of rewards.tiers) {
+      const role = guild.roles.cache.get(roleId);
+      if (!role || !role.editable) continue;
+      const has = member.roles.cache.has(roleId);
+      if (want.has(roleId) && !has) toAdd.push(roleId);
+      else if (!want.has(roleId) && has) toRemove.push(roleId);
+    }
+
+    try {
+      if (toAdd.length) await member.roles.add(toAdd, `Invite reward: ${total} invites`);
+      if (toRemove.length) await member.roles.remove(toRemove, `Invite reward: ${total} invites`);
+    } catch (e) {
+      console.warn(`[${guild.name}] Could not update reward roles for ${member.id}: ${e.message}`);
+    }
+  }
+
+  // Recompute reward roles for every tracked inviter and every member holding a reward role
+  async function syncRewardRoles(guild) {
+    const rewards = getRewardSettings(guild.id);
+    const members = await guild.members.fetch();
+    const rewardRoleIds = new Set(rewards.tiers.map(t => t.roleId));
+    let checked = 0;
+    for (const member of members.values()) {
+      const tracked = stats[guild.id]?.[member.id] != null;
+      const holdsReward = member.roles.cache.some(r => rewardRoleIds.has(r.id));
+      if (!tracked && !holdsReward) continue;
+      await applyRewardRoles(guild, member);
+      checked++;
+    }
+    return checked;
+  }
+
+  // Servers and members over every shard. While other shards are still
+  // starting only this client's count is known.
+  async function countGuilds() {
+    const count = (c) => [c.guilds.cache.size, c.guilds.cache.reduce((n, g) => n + (g.memberCount ?? 0), 0)];
+    const perShard = client.shard ? await client.shard.broadcastEval(count).catch(() => [count(client)]) : [count(client)];
+    return perShard.reduce((sum, [guilds, members]) => ({ guilds: sum.guilds + guilds, members: sum.members + members }), { guilds: 0, members: 0 });
+  }
+
+  // Presence helper — Watching (server name, or a summary of all servers on every shard)
+  // The presence is the same for every server, so it is in English
+  async function setWatchingPresence() {
+    try {
+      const { guilds, members } = await countGuilds();
+      totalGuilds = guilds;
+      const label = guilds === 1 && client.guilds.cache.size === 1
+        ? client.guilds.cache.first().name
+        : guilds > 0 ? EN('presence.servers', { guilds, members }) : EN('presence.idle');
+      await client.user.setActivity(label, { type: 3 }); // 3 = Watching
+    } catch {
+      client.user.setActivity(EN('presence.idle'), { type: 3 });
+    }
+  }
+
+  // ---------- CONTESTS ----------
+  // contests[guildId] = { name, mode, status: 'running' | 'ended', startAt, endAt, endedAt,
+  //   channelId, messageId, winners, prize, prizeRoleId, rules, createdBy,
+  //   baseline (snapshot mode: counters at the start), results, winnerIds }
+  const CONTEST_TICK_MS = 60_000;
+  const contestsEnding = new Set(); // guildIds whose contest is being wrapped up
+
+  function startContestTimer() {
+    if (contestTimer) clearInterval(contestTimer);
+    contestTimer = setInterval(runContestTick, CONTEST_TICK_MS);
+    runContestTick();
+  }
+
+  // Ends contests that are due and refreshes the live standings of the others
+  async function runContestTick() {
+    for (const [guildId, contest] of Object.entries(contests)) {
+      if (contest.status !== 'running') continue;
+      const guild = client.guilds.cache.get(guildId);
+      if (!guild) continue;
+      try {
+        if (Date.now() >= contest.endAt) await endContest(guild);
+        else await updateContestMessage(guild, contest);
+      } catch (e) {
+        console.warn(`[${guild.name}] Contest update failed: ${e.message}`);
+      }
+    }
+  }
+
+  // What each user scored so far: counter changes since the start (snapshot) or
+  // the events inside the contest window
+  function contestInputs(guildId, contest) {
+    if (contest.mode === 'window') {
+      return aggregateEvents(guildId, contest.startAt, Math.min(Date.now(), contest.endAt) + 1);
+    }
+    const out = {};
+    for (const [uid, s] of Object.entries(stats[guildId] ?? {})) out[uid] = statsDelta(s, contest.baseline?.[uid]);
+    return out;
+  }
+
+  async function currentStandings(guild, contest) {
+    const present = await presentMemberIds(guild);
+    return contestStandings(contestInputs(guild.id, contest), contest.rules, (uid) => present.has(uid) && !isPseudoInviter(uid));
+  }
+
+  function describePrize(contest, t) {
+    const parts = [contest.prize, contest.prizeRoleId ? `<@&${contest.prizeRoleId}>` : null].filter(Boolean);
+    return parts.length ? parts.join(' + ') : t('common.none');
+  }
+
+  function contestEmbed(contest, standings, t) {
+    const ended = contest.status === 'ended';
+    const top = standings.slice(0, 10).map(r => t('contest.line', { rank: r.rank, user: `<@${r.userId}>`, score: r.score }));
+    const mode = t(`contest.modes.${contest.mode}`, {}, CONTEST_MODES[contest.mode]);
+    return new EmbedBuilder()
+      .setColor(THEME)
+      .setTitle(`🏆 ${contest.name}${ended ? t('contest.final') : ''}`)
+      .setDescription(top.length ? top.join('\n') : t('contest.noInvites'))
+      .addFields(
+        { name: t(ended ? 'contest.ended' : 'contest.ends'), value: `<t:${Math.floor((contest.endedAt ?? contest.endAt) / 1000)}:R>`, inline: true },
+        { name: t('contest.winners'), value: `**${contest.winners}**`, inline: true },
+        { name: t('contest.prize'), value: describePrize(contest, t), inline: true }
+      )
+      .setFooter({ text: `${mode} · ${describeContestRules(contest.rules, t)}` })
+      .setTimestamp();
+  }
+
+  async function updateContestMessage(guild, contest, standings = null) {
+    const channel = guild.channels.cache.get(contest.channelId);
+    if (!channel || !contest.messageId) return;
+    const msg = await channel.messages.fetch(contest.messageId).catch(() => null);
+    if (!msg) return;
+    const embed = contestEmbed(contest, standings ?? await currentStandings(guild, contest), guildTranslator(guild));
+    await msg.edit({ embeds: [embed] }).catch(() => {});
+  }
+
+  // Final standings, prize roles and the winner announcement. With announce off
+  // the contest is only closed (and no roles are given).
+  async function endContest(guild, { announce = true } = {}) {
+    const contest = contests[guild.id];
+    if (contest?.status !== 'running' || contestsEnding.has(guild.id)) return null;
+    contestsEnding.add(guild.id);
+    try {
+      const standings = await currentStandings(guild, contest);
+      const winners = standings.filter(r => r.rank <= contest.winners); // ties at the cut all win
+      contest.status = 'ended';
+      contest.endedAt = Math.min(Date.now(), contest.endAt);
+      contest.results = standings.slice(0, 25);
+      contest.winnerIds = winners.map(r => r.userId);
+      delete contest.baseline;
+      saveContests();
+      await updateContestMessage(guild, contest, standings);
+      if (!announce) return contest;
+
+      const t = guildTranslator(guild);
+      let roleNote = '';
+      if (contest.prizeRoleId && winners.length) {
+        let failed = 0;
+        for (const w of winners) {
+          const member = await guild.members.fetch(w.userId).catch(() => null);
+          const ok = member && await member.roles.add(contest.prizeRoleId, `Won the invite contest "${contest.name}"`).then(() => true, () => false);
+          if (!ok) failed++;
+        }
+        if (failed) roleNote = t('contest.roleFailed', { role: `<@&${contest.prizeRoleId}>`, count: failed });
+      }
+
+      const channel = guild.channels.cache.get(contest.channelId);
+      if (channel?.permissionsFor(guild.members.me)?.has(PermissionsBitField.Flags.SendMessages)) {
+        const content = winners.length
+          ? t('contest.announce', { name: contest.name, winners: winners.map(w => `<@${w.userId}>`).join(', '), note: roleNote })
+          : t('contest.noWinners', { name: contest.name });
+        await channel.send({
+          content,
+          embeds: [contestEmbed(contest, standings, t)],
+          allowedMentions: { users: contest.winnerIds, roles: [] },
+        }).catch(() => {});
+      }
+      return contest;
+    } finally {
+      contestsEnding.delete(guild.id);
+    }
+  }
+
+  // ---------- PERSONAL INVITES ----------
+  function personalInviteCode(guildId, userId) {
+    return Object.keys(owners[guildId] ?? {}).find(code => owners[guildId][code].ownerId === userId) ?? null;
+  }
+
+  // Records (or with null, drops) the owner of a code and updates the cached
+  // snapshot so the next join through it is credited accordingly
+  function setInviteOwner(guildId, code, ownerId, createdBy = null) {
+    owners[guildId] ??= {};
+    if (ownerId) owners[guildId][code] = { createdAt: Date.now(), createdBy, ...owners[guildId][code], ownerId };
+    else delete owners[guildId][code];
+    saveOwners();
+    const cached = invitesCache[guildId]?.[code];
+    if (cached && ownerId) {
+      cached.inviterId = ownerId;
+      saveInvites();
+    }
+  }
+
+  // The user's permanent invite in the configured channel, created if they don't
+  // have a working one yet. Returns { code, created } or { error }.
+  async function ensurePersonalInvite(guild, userId, createdBy, t) {
+    const existing = personalInviteCode(guild.id, userId);
+    if (existing && invitesCache[guild.id]?.[existing]) return { code: existing, created: false };
+    if (existing) setInviteOwner(guild.id, existing, null);
+
+    const channelId = readConfig(settings[guild.id], 'myinvite.channel');
+    const channel = channelId ? guild.channels.cache.get(channelId) : null;
+    if (!channel) {
+      return { error: t('personal.notSetUp') };
+    }
+    const user = await client.users.fetch(userId).catch(() => null);
+    let invite;
+    try {
+      invite = await channel.createInvite({
+        maxAge: 0,
+        maxUses: 0,
+        unique: true,
+        reason: `Personal invite for ${user?.tag ?? userId}`,
+      });
+    } catch (e) {
+      return { error: t('personal.createFailed', { channel: `${channel}`, error: e.message }) };
+    }
+    setInviteOwner(guild.id, invite.code, userId, createdBy);
+    invitesCache[guild.id] ??= {};
+    invitesCache[guild.id][invite.code] = inviteSnapshot(guild.id, invite);
+    saveInvites();
+    return { code: invite.code, created: true };
+  }
+
+  // ---------- READY ----------
+  // Opens the store and reads every collection. The ready handler does this
+  // first; tests call it directly instead of logging in.
+  async function load() {
+    await store.init();
+    loadAll();
+  }
+
+  async function onReady() {
+    console.log(`🤖 Logged in as ${client.user.tag}`);
+    try {
+      await load();
+    } catch (e) {
+      console.error(`❌ Could not load data (${store.backend}): ${e.message}`);
+      process.exit(1);
+    }
+    console.log(`💾 Storage backend: ${store.backend}`);
+
+    // Correct process start to match current process.uptime()
+    PROCESS_START_MS = Date.now() - Math.floor(process.uptime() * 1000);
+
+    await registerAllCommands();
+
+    // Cosmetic: set username (rate-limited). The name is shared by every shard, so only the first sets it.
+    if (botName && isFirstShard()) {
+      try {
+        if (client.user.username !== botName) {
+          await client.user.setUsername(botName);
+          console.log(`✅ Bot name set to "${botName}"`);
+        }
+      } catch (e) {
+        console.warn('⚠️ Could not change bot name (rate limits/permissions):', e.message);
+      }
+    }
+
+    // Refresh invite caches and catch up on joins/leaves missed while offline.
+    // Runs in the join queue so live joins wait for the fresh snapshot.
+    for (const g of client.guilds.cache.values()) {
+      try {
+        const summary = await runInJoinQueue(g.id, () => reconcileGuild(g));
+        if (summary) await postReconciliationSummary(g, summary);
+      } catch (e) {
+        console.warn(`[${g.name}] Reconciliation failed: ${e.message}`);
+      }
+    }
+    markSeen();
+    heartbeatTimer = setInterval(() => {
+      markSeen();
+      setWatchingPresence(); // servers joined or left on other shards
+    }, HEARTBEAT_MS);
+
+    // Start live status panels
+    migrateLegacyStatusPanel();
+    client.rest.on('rateLimited', (info) => {
+      if (info.route?.includes('/messages')) statusPausedUntil = Math.max(statusPausedUntil, Date.now() + info.timeToReset);
+    });
+    startStatusUpdater();
+
+    // Contests that ended while offline are wrapped up on the first tick
+    startContestTimer();
+
+    // Servers that removed the bot, also while it was offline
+    startCleanupTimer();
+
+    // Presence: Watching (server name)
+    await setWatchingPresence();
+  }
+
+  async function onGuildCreate(guild) {
+    if (departed[guild.id]) {
+      delete departed[guild.id];
+      saveDeparted();
+      console.log(`[${guild.name}] Added back before the cleanup, keeping its invite data`);
+    }
+    await runInJoinQueue(guild.id, async () => {
+      await fetchAndStoreInvites(guild);
+      await refreshVanityUses(guild);
+    });
+    if (perGuildCommands || guild.id === commandGuildId) await registerCommands(guild.id);
+    await setWatchingPresence();
+  }
+
+  // ---------- COMMAND REGISTRATION ----------
+  // Per-guild commands are pushed by the shard that serves the guild, global
+  // ones once, by the first shard.
+  function isFirstShard() {
+    return !client.shard || client.shard.ids.includes(0);
+  }
+
+  async function registerAllCommands() {
+    if (perGuildCommands) {
+      for (const g of client.guilds.cache.values()) await registerCommands(g.id);
+    } else if (commandGuildId) {
+      if (client.guilds.cache.has(commandGuildId)) await registerCommands(commandGuildId);
+    } else if (isFirstShard()) {
+      await registerCommands();
+    }
+  }
+
+  // ---------- SERVER CLEANUP ----------
+  // A server that removes the bot keeps its data for a grace period, so adding
+  // the bot back loses nothing. After that everything stored for it is archived
+  // to data/archive/ (or purged). The legacy 'config' collection isn't listed:
+  // it is moved into settings on load.
+  const CLEANUP_TICK_MS = 60 * 60_000;
+
+  // [collection, data, save] for every per-guild collection except `departed`
+  function perGuildCollections() {
+    return [
+      ['stats', stats, saveStats],
+      ['members', membersMap, saveMembers],
+      ['invites', invitesCache, saveInvites],
+      ['settings', settings, saveSettings],
+      ['status', statusStore, saveStatus],
+      ['history', joinHistory, saveHistory],
+      ['events', events, saveEvents],
+      ['audit', audit, saveAudit],
+      ['seen', seen, saveSeen],
+      ['contests', contests, saveContests],
+      ['owners', owners, saveOwners],
+    ];
+  }
+
+  async function onGuildDelete(guild) {
+    for (const perGuild of [panelSchedule, inviteFetchedAt, joinQueues, pendingUses, vanityUses, recentlyDeleted, joinBursts]) {
+      perGuild.delete(guild.id);
+    }
+    departed[guild.id] = { at: Date.now(), name: guild.name ?? null };
+    saveDeparted();
+    console.log(`[${guild.name}] Bot removed, its invite data is cleaned up in ${formatDuration(guildCleanup.graceMs, EN)}`);
+    await setWatchingPresence();
+  }
+
+  function runCleanup() {
+    const now = Date.now();
+    // removed while the bot was offline: no guildDelete came
+    for (const guildId of new Set(perGuildCollections().flatMap(([, data]) => Object.keys(data)))) {
+      if (!client.guilds.cache.has(guildId) && !departed[guildId]) departed[guildId] = { at: now, name: null };
+    }
+    for (const [guildId, d] of Object.entries(departed)) {
+      if (client.guilds.cache.has(guildId)) delete departed[guildId];
+      else if (now - d.at >= guildCleanup.graceMs) cleanupGuild(guildId, d);
+    }
+    saveDeparted();
+  }
+
+  function cleanupGuild(guildId, d) {
+    const collections = perGuildCollections().filter(([, data]) => Object.hasOwn(data, guildId));
+    if (guildCleanup.mode === 'archive') {
+      store.archive(`guild-${guildId}-${Date.now()}`, {
+        guildId,
+        name: d.name,
+        removedAt: d.at,
+        archivedAt: Date.now(),
+        ...Object.fromEntries(collections.map(([name, data]) => [name, data[guildId]])),
+      });
+    }
+    for (const [, data, save] of collections) {
+      delete data[guildId];
+      save();
+    }
+    delete departed[guildId];
+    console.log(`🧹 ${guildCleanup.mode === 'archive' ? 'Archived' : 'Purged'} the invite data of ${d.name ?? guildId}`);
+  }
+
+  function startCleanupTimer() {
+    if (cleanupTimer) clearInterval(cleanupTimer);
+    cleanupTimer = setInterval(runCleanup, CLEANUP_TICK_MS);
+    runCleanup();
+  }
+
+  // ---------- EVENTS ----------
+  async function onInviteCreate(invite) {
+    const g = invite.guild;
+    if (!invitesCache[g.id]) invitesCache[g.id] = {};
+    invitesCache[g.id][invite.code] = inviteSnapshot(g.id, invite);
+    saveInvites();
+    webhooks.emit(g.id, 'invite.create', { invite: webhookInvite(invite.code, invitesCache[g.id][invite.code]) });
+  }
+
+  async function onInviteDelete(invite) {
+    const g = invite.guild;
+    const cached = invitesCache[g.id]?.[invite.code];
+    if (cached) {
+      // keep it around briefly: a used-up invite is deleted just before its last join arrives
+      if (!recentlyDeleted.has(g.id)) recentlyDeleted.set(g.id, {});
+      recentlyDeleted.get(g.id)[invite.code] = { ...cached, deletedAt: Date.now() };
+      delete invitesCache[g.id][invite.code];
+      saveInvites();
+    }
+    if (owners[g.id]?.[invite.code]) {
+      delete owners[g.id][invite.code];
+      saveOwners();
+    }
+    webhooks.emit(g.id, 'invite.delete', { invite: cached ? webhookInvite(invite.code, cached) : { code: invite.code } });
+  }
+
+  // ---------- MEMBER ADD ----------
+  // Books a join: history, event log, inviter stats, reward roles and the webhook.
+  // `offline` joins were found by reconciliation after a restart.
+  async function recordMemberJoin(guild, member, attribution, { offline = false } = {}) {
+    const { source, confidence } = attribution;
+    const usedInvite = source === 'invite' ? attribution.invite : null;
+    const usedVanity = source === 'vanity';
+
+    // Update stats & remember inviter for this member
+    if (!stats[guild.id]) stats[guild.id] = {};
+    if (!membersMap[guild.id]) membersMap[guild.id] = {};
+
+    const inviterId = creditFor(guild.id, source, usedInvite);
+    // the reasons only end up in the join log
+    const fakeReasons = detectFake(member, getFakeRules(guild.id), guildTranslator(guild));
+    const isFake = fakeReasons.length > 0;
+    const { isRejoin, rejoinCount, kind, leaveUndone } = recordJoinHistory(guild.id, member.id, {
+      inviterId, code: usedInvite?.code, confidence, isFake,
+      at: offline ? member.joinedTimestamp ?? Date.now() : Date.now(),
+    });
+    const counted = kind;
+    recordEvent(guild.id, {
+      type: 'join',
+      memberId: member.id,
+      inviterId,
+      code: usedInvite?.code ?? null,
+      source,
+      confidence,
+      counted,
+      ...(leaveUndone && { leaveUndone: true }),
+      ...(offline && { offline: true, joinedAt: member.joinedTimestamp ?? null }),
+    });
+    stats[guild.id][inviterId] ??= emptyStats();
+    if (usedInvite) stats[guild.id][inviterId].lastInviteCode = usedInvite.code;
+    stats[guild.id][inviterId][counted] += 1;
+    if (leaveUndone) stats[guild.id][inviterId].leaves -= 1;
+    membersMap[guild.id][member.id] = inviterId;
+    saveStats();
+    saveMembers();
+    await applyRewardRoles(guild, inviterId);
+
+    webhooks.emit(guild.id, 'member.join', {
+      member: webhookUser(member.user),
+      inviter: webhookUser(inviterId ? client.users.cache.get(inviterId) : null, inviterId),
+      code: usedInvite?.code ?? null,
+      source,
+      confidence,
+      counted,
+      rejoin: isRejoin,
+      fake: isFake,
+      offline,
+      inviterTotals: inviterTotals(guild.id, inviterId),
+    });
+    return { source, usedInvite, usedVanity, confidence, inviterId, isRejoin, rejoinCount, isFake, fakeReasons };
+  }
+
+  async function onGuildMemberAdd(member) {
+    const guild = member.guild;
+
+    // bots are added through OAuth and never use an invite, so they mustn't claim one
+    const attribution = member.user.bot
+      ? { source: 'bot', code: null, invite: null, confidence: 'exact' }
+      : await runInJoinQueue(guild.id, () => attributeJoin(guild));
+    const {
+      source, usedInvite, usedVanity, confidence, inviterId, isRejoin, rejoinCount, isFake, fakeReasons
+    } = await recordMemberJoin(guild, member, attribution);
+
+    // ------- LOG MESSAGE (per-guild template) -------
+    const t = guildTranslator(guild);
+    const type = usedInvite ? 'join' : usedVanity ? 'vanity' : 'oauth';
+    await sendTemplatedLog(guild, type, {
+      user: `<@${member.id}>`,
+      userTag: member.user.tag,
+      userId: member.id,
+      inviter: mentionInviter(inviterId, t),
+      inviterId: inviterId ?? '',
+      code: usedInvite?.code ?? 'unknown',
+      source: t(`pseudo.${usedInvite ? 'invite' : source}`),
+      inviterTotal: inviterId ? computeTotal(stats[guild.id][inviterId]) : 0,
+      memberCount: guild.memberCount,
+      guild: guild.name,
+      accountAge: `<t:${Math.floor(member.user.createdTimestamp / 1000)}:R>`,
+      confidence: t(`confidence.${confidence}`),
+      rejoin: isRejoin ? t('templates.rejoin', { ordinal: ordinal(t.lang, rejoinCount) }) : '',
+      fake: isFake ? t('templates.fakeJoin', { reasons: fakeReasons.join(', ') }) : '',
+    }, member.user);
+
+    if (usedInvite) await checkJoinBurst(guild, member, usedInvite.code, inviterId);
+  }
+
+  // ---------- MEMBER REMOVE ----------
+  // Books a leave: counts it against the inviter (or as fake after a quick leave),
+  // closes the history entry and emits the webhook. For `offline` leaves the
+  // exact time is unknown, so the stay is measured up to now.
+  async function recordMemberLeave(guild, memberId, { user = null, joinedTimestamp = null, offline = false } = {}) {
+    const guildId = guild.id;
+    const gMap = membersMap[guildId] || {};
+    const inviterId = gMap[memberId] ?? null;
+    const entry = joinHistory[guildId]?.[memberId];
+    // members tracked before join history existed fall back to Discord's join time
+    const joinedAt = entry?.lastJoinAt ?? joinedTimestamp ?? null;
+    const stayedMs = joinedAt ? Date.now() - joinedAt : null;
+
+    const { leaveWithinHours } = getFakeRules(guildId);
+    const quickLeave = leaveWithinHours > 0 && stayedMs !== null && stayedMs < leaveWithinHours * 3_600_000;
+    let counted = false;
+
+    if (inviterId) {
+      // Only a credited join can be undone by a leave; fakes and rejoins never added to joins
+      if (entry?.credited !== false) counted = quickLeave ? 'fake' : true;
+      recordEvent(guildId, {
+        type: 'leave',
+        memberId,
+        inviterId,
+        code: entry?.lastCode ?? null,
+        joinedAt,
+        counted,
+        ...(offline && { offline: true }),
+      });
+      if (counted) {
+        stats[guildId] ??= {};
+        stats[guildId][inviterId] ??= emptyStats();
+        if (counted === 'fake') {
+          stats[guildId][inviterId].joins -= 1;
+          stats[guildId][inviterId].fake += 1;
+        } else {
+          stats[guildId][inviterId].leaves += 1;
+        }
+        saveStats();
+        await applyRewardRoles(guild, inviterId);
+      }
+      delete gMap[memberId];
+      saveMembers();
+    }
+    if (entry) {
+      entry.credited = false;
+      entry.leftAt = Date.now();
+      entry.leaveCounted = counted;
+      saveHistory();
+    }
+
+    webhooks.emit(guildId, 'member.leave', {
+      member: webhookUser(user, memberId),
+      inviter: webhookUser(inviterId ? client.users.cache.get(inviterId) : null, inviterId),
+      code: entry?.lastCode ?? null,
+      joinedAt,
+      counted,
+      offline,
+      inviterTotals: inviterTotals(guildId, inviterId),
+    });
+    return { inviterId, entry, joinedAt, stayedMs, counted, leaveWithinHours };
+  }
+
+  async function onGuildMemberRemove(member) {
+    const guild = member.guild;
+    const user = member.user ?? await client.users.fetch(member.id).catch(() => null);
+    const { inviterId, entry, joinedAt, stayedMs, counted, leaveWithinHours } = await recordMemberLeave(guild, member.id, {
+      user,
+      joinedTimestamp: member.joinedTimestamp,
+    });
+    if (!user) return;
+    const t = guildTranslator(guild);
+    await sendTemplatedLog(guild, 'leave', {
+      user: `<@${member.id}>`,
+      userTag: user.tag,
+      userId: member.id,
+      inviter: mentionInviter(inviterId, t),
+      inviterId: inviterId ?? '',
+      code: entry?.lastCode ?? 'unknown',
+      source: t(entry?.lastCode ? 'pseudo.invite' : 'pseudo.unknown'),
+      inviterTotal: inviterId ? computeTotal(stats[guild.id]?.[inviterId]) : 0,
+      memberCount: guild.memberCount,
+      guild: guild.name,
+      accountAge: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`,
+      joinedAt: joinedAt ? `<t:${Math.floor(joinedAt / 1000)}:f>` : `\`${t('common.unknown')}\``,
+      timeInServer: stayedMs !== null ? formatDuration(stayedMs, t) : t('common.unknown'),
+      rejoin: '',
+      fake: counted === 'fake' ? t('templates.fakeLeave', { hours: leaveWithinHours }) : '',
+    }, user);
+  }
+
+  // ---------- INTERACTIONS ----------
+  // Manage Server, or the role set with `/config set staffRole`
+  function hasStaffAccess(interaction) {
+    if (interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) return true;
+    const roleId = settings[interaction.guildId]?.staffRoleId;
+    if (!roleId) return false;
+    const roles = interaction.member?.roles;
+    return Array.isArray(roles) ? roles.includes(roleId) : Boolean(roles?.cache.has(roleId));
+  }
+
+  async function onInteractionCreate(interaction) {
+    const t = interactionTranslator(interaction);
+    if (interaction.isAutocomplete()) {
+      if (interaction.commandName === 'invitecode') {
+        const typed = interaction.options.getFocused().toLowerCase();
+        const codes = Object.keys(invitesCache[interaction.guildId] ?? {})
+          .filter(c => c.toLowerCase().includes(typed))
+          .slice(0, 25);
+        return interaction.respond(codes.map(c => ({ name: c, value: c }))).catch(() => {});
+      }
+      if (interaction.commandName === 'config') {
+        const choices = configSuggestions(interaction, interaction.options.getFocused(true), t);
+        return interaction.respond(choices.slice(0, 25)).catch(() => {});
+      }
+      return;
+    }
+    if (!interaction.isChatInputCommand()) return;
+
+    if (interaction.commandName === 'setinvitelog') {
+      const ch = interaction.options.getChannel('channel', true);
+      if (ch.type !== ChannelType.GuildText) {
+        return interaction.reply({ content: t('common.textChannel'), ephemeral: true });
+      }
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const type = interaction.options.getString('type') ?? 'all';
+      if (type === 'all') {
+        setLogChannels(interaction.guildId, { logChannelId: ch.id });
+        return interaction.reply({ content: t('setinvitelog.all', { channel: `${ch}` }), ephemeral: true });
+      }
+      setLogChannels(interaction.guildId, { [type === 'join' ? 'joinLogChannelId' : 'leaveLogChannelId']: ch.id });
+      return interaction.reply({ content: t(`setinvitelog.${type}`, { channel: `${ch}` }), ephemeral: true });
+    }
+
+    if (interaction.commandName === 'invites') {
+      const user = interaction.options.getUser('user') ?? interaction.user;
+      const period = resolvePeriod(periodOptions(interaction), t);
+      if (period.error) return interaction.reply({ content: period.error, ephemeral: true });
+      await interaction.deferReply();
+      const byUser = statsForPeriod(interaction.guildId, period);
+      const s = byUser[user.id] ?? emptyStats();
+      const total = computeTotal(s);
+      const present = await presentMemberIds(interaction.guild);
+      const ranked = rankStats(byUser, 'total', (uid) => present.has(uid) || isPseudoInviter(uid));
+      const rank = ranked.find(r => r.userId === user.id)?.rank;
+
+      const embed = new EmbedBuilder()
+        .setColor(THEME)
+        .setAuthor({ name: `${user.tag}`, iconURL: user.displayAvatarURL() })
+        .setDescription(t('invites.total', { total }) + (period.all ? '' : ` · ${period.label}`))
+        .addFields(
+          { name: t('invites.joins'), value: `**${s.joins}**`, inline: true },
+          { name: t('invites.leaves'), value: `**${s.leaves}**`, inline: true },
+          { name: t('invites.bonus'), value: `**${s.bonus}**`, inline: true },
+          { name: t('invites.rejoins'), value: `**${s.rejoins ?? 0}**`, inline: true },
+          { name: t('invites.fake'), value: `**${s.fake ?? 0}**`, inline: true },
+          {
+            name: t('invites.rank'),
+            value: rank ? t('invites.rankValue', { rank, count: ranked.length }) : t('invites.unranked'),
+            inline: true
+          }
+        )
+        .setTimestamp();
+      const indirect = indirectForPeriod(interaction.guildId, period);
+      if (indirect) embed.addFields({ name: t('invites.indirect'), value: `**${indirect[user.id] ?? 0}**`, inline: true });
+
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (interaction.commandName === 'invitetree') {
+      const user = interaction.options.getUser('user') ?? interaction.user;
+      const depth = interaction.options.getInteger('depth') ?? 3;
+      const gid = interaction.guildId;
+      const levels = referralLevels(buildReferralIndex(membersMap[gid], joinHistory[gid]), user.id, depth);
+      if (levels.length === 0) {
+        return interaction.reply({ content: t('invitetree.nobody', { user: `${user}` }), ephemeral: true, allowedMentions: { parse: [] } });
+      }
+
+      const summary = levels.map(l => ({
+        name: t('invitetree.level', { depth: l.depth }),
+        value: t('invitetree.levelValue', { count: l.nodes.length, active: l.active, left: l.left }),
+        inline: true
+      }));
+      const lines = flattenLevels(user.id, levels)
+        .map(n => `${'\u2003'.repeat(n.depth - 1)}└ <@${n.memberId}>${n.active ? '' : t('invitetree.left')}`);
+      const pages = chunk(lines, 20).map((part) => new EmbedBuilder()
+        .setColor(THEME)
+        .setAuthor({ name: `${user.tag}`, iconURL: user.displayAvatarURL() })
+        .setTitle(t('invitetree.title'))
+        .setDescription(part.join('\n'))
+        .addFields(summary)
+        .setFooter({ text: t('invitetree.footer', { count: levels.reduce((n, l) => n + l.nodes.length, 0), depth }) })
+        .setTimestamp());
+      return replyPaginated(interaction, pages);
+    }
+
+    if (interaction.commandName === 'avatar') {
+      const user = interaction.options.getUser('user') ?? interaction.user;
+      const url = user.displayAvatarURL({ size: 1024, extension: 'png', forceStatic: false });
+
+      const embed = new EmbedBuilder()
+        .setColor(THEME)
+        .setAuthor({ name: `${user.tag}`, iconURL: user.displayAvatarURL() })
+        .setTitle(t('avatar.title'))
+        .setImage(url)
+        .setFooter({ text: t('avatar.footer', { id: user.id }) })
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    if (interaction.commandName === 'lb') {
+      const perPage = interaction.options.getInteger('amount') ?? 10;
+      const sort = interaction.options.getString('sort') ?? 'total';
+      const includeLeft = interaction.options.getBoolean('include_left') ?? false;
+      const period = resolvePeriod(periodOptions(interaction), t);
+      if (period.error) return interaction.reply({ content: period.error, ephemeral: true });
+
+      await interaction.deferReply();
+      const present = includeLeft ? null : await presentMemberIds(interaction.guild);
+      // join sources never "leave", so they always stay on the board
+      const ranked = rankStats(statsForPeriod(interaction.guildId, period), sort, (uid) => !present || present.has(uid) || isPseudoInviter(uid));
+      if (ranked.length === 0) {
+        return interaction.editReply({
+          content: period.all ? t('lb.empty') : t('lb.emptyPeriod', { period: period.label })
+        });
+      }
+
+      const { label, format } = LEADERBOARD_SORTS[sort];
+      const mine = ranked.find(r => r.userId === interaction.user.id);
+      const footer = mine
+        ? t('lb.yourRank', { rank: mine.rank, count: ranked.length })
+        : t('lb.notRanked', { count: ranked.length });
+      const sortLabel = t(`lb.sorts.${sort}`, {}, label);
+      const pages = chunk(ranked, perPage).map((part) =>
+        new EmbedBuilder()
+          .setColor(THEME)
+          .setTitle(t('lb.title') + (sort === 'total' ? '' : ` · ${sortLabel}`) + (period.all ? '' : ` · ${period.label}`))
+          .setDescription(part.map(({ userId, rank, value, stats: s }) => {
+            const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `#${rank}`;
+            const shown = t(`lb.values.${sort}`, { value, stayed: Math.max(0, s.joins - (s.leaves ?? 0)), joins: s.joins }, format(value, s));
+            return `${medal} ${mentionInviter(userId, t)} — ${shown}`;
+          }).join('\n'))
+          .setFooter({ text: footer })
+          .setTimestamp()
+      );
+      return replyPaginated(interaction, pages);
+    }
+
+    if (interaction.commandName === 'bonus') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const user = interaction.options.getUser('user', true);
+      const amount = interaction.options.getInteger('amount', true);
+      stats[interaction.guildId] ??= {};
+      stats[interaction.guildId][user.id] ??= emptyStats();
+      stats[interaction.guildId][user.id].bonus += amount;
+      saveStats();
+      recordEvent(interaction.guildId, { type: 'bonus', userId: user.id, amount, by: interaction.user.id });
+      recordAudit(interaction.guildId, { action: 'bonus', by: interaction.user.id, targetId: user.id, amount });
+      webhooks.emit(interaction.guildId, 'bonus.update', {
+        user: webhookUser(user),
+        amount,
+        by: webhookUser(interaction.user),
+        inviterTotals: inviterTotals(interaction.guildId, user.id),
+      });
+      await applyRewardRoles(interaction.guild, user.id);
+
+      const s = stats[interaction.guildId][user.id];
+      const total = computeTotal(s);
+
+      const embed = new EmbedBuilder()
+        .setColor(THEME)
+        .setTitle(t('bonus.title'))
+        .setDescription(t('bonus.description', { user: `${user}`, amount: amount > 0 ? `+${amount}` : amount }))
+        .addFields(
+          { name: t('invites.joins'), value: `**${s.joins}**`, inline: true },
+          { name: t('invites.leaves'), value: `**${s.leaves}**`, inline: true },
+          { name: t('invites.bonus'), value: `**${s.bonus}**`, inline: true },
+          { name: t('invites.rejoins'), value: `**${s.rejoins ?? 0}**`, inline: true },
+          { name: t('invites.fake'), value: `**${s.fake ?? 0}**`, inline: true },
+          { name: t('bonus.total'), value: `**${total}**`, inline: false }
+        )
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (interaction.commandName === 'fakerules') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+
+      if (sub === 'set') {
+        const minAge = interaction.options.getInteger('min_age_days');
+        const defaultAvatar = interaction.options.getBoolean('default_avatar');
+        const pattern = interaction.options.getString('name_pattern');
+        const leaveWithin = interaction.options.getInteger('leave_within_hours');
+
+        const next = getFakeRules(gid);
+        if (minAge !== null) next.minAccountAgeDays = minAge;
+        if (defaultAvatar !== null) next.defaultAvatar = defaultAvatar;
+        if (leaveWithin !== null) next.leaveWithinHours = leaveWithin;
+        if (pattern !== null) {
+          if (['off', 'none', ''].includes(pattern.trim().toLowerCase())) {
+            next.namePattern = null;
+          } else {
+            try {
+              new RegExp(pattern, 'i');
+            } catch (e) {
+              return interaction.reply({ content: t('fake.invalidPattern', { error: e.message }), ephemeral: true });
+            }
+            next.namePattern = pattern;
+          }
+        }
+        settings[gid] ??= {};
+        settings[gid].fake = next;
+        saveSettings();
+      } else if (sub === 'reset') {
+        if (settings[gid]) {
+          delete settings[gid].fake;
+          saveSettings();
+        }
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(THEME)
+        .setTitle(t(sub === 'view' ? 'fake.title' : 'fake.updatedTitle'))
+        .setDescription(describeFakeRules(getFakeRules(gid), t))
+        .setFooter({ text: t('fake.footer') })
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (interaction.commandName === 'joinsources') {
+      const period = resolvePeriod(periodOptions(interaction), t);
+      if (period.error) return interaction.reply({ content: period.error, ephemeral: true });
+      const counts = { invite: 0, vanity: 0, oauth: 0, bot: 0, unknown: 0 };
+      for (const e of events[interaction.guildId] ?? []) {
+        if (e.type !== 'join' || e.at < period.from || e.at >= period.to) continue;
+        counts[e.source in counts ? e.source : 'unknown'] += 1;
+      }
+      const total = Object.values(counts).reduce((a, b) => a + b, 0);
+      if (total === 0) {
+        return interaction.reply({
+          content: period.all ? t('joinsources.empty') : t('joinsources.emptyPeriod', { period: period.label }),
+          ephemeral: true
+        });
+      }
+      const icons = { invite: '🔗', vanity: '🌐', oauth: '🔑', bot: '🤖', unknown: '❔' };
+      const lines = Object.entries(counts).map(([source, n]) => {
+        const label = source === 'invite' ? t('joinsources.invites') : t(`pseudo.${source}`, {}, PSEUDO_INVITERS[source]);
+        return t('joinsources.line', { icon: icons[source], label, count: n, pct: Math.round((n / total) * 100) });
+      });
+      const target = settings[interaction.guildId]?.vanityCredit;
+      const embed = new EmbedBuilder()
+        .setColor(THEME)
+        .setTitle(t('joinsources.title') + (period.all ? '' : ` · ${period.label}`))
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: t('joinsources.footer', { count: total }) })
+        .setTimestamp();
+      if (target) {
+        embed.addFields({
+          name: t('joinsources.vanityCredit'),
+          value: t('joinsources.vanityCreditValue', { target: target.type === 'role' ? `<@&${target.id}>` : `<@${target.id}>` })
+        });
+      }
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    if (interaction.commandName === 'vanitycredit') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const gid = interaction.guildId;
+      settings[gid] ??= {};
+      if (interaction.options.getSubcommand() === 'clear') {
+        delete settings[gid].vanityCredit;
+        saveSettings();
+        return interaction.reply({ content: t('vanitycredit.cleared', { label: t('pseudo.vanity') }), ephemeral: true });
+      }
+      const user = interaction.options.getUser('user');
+      const role = interaction.options.getRole('role');
+      if (Boolean(user) === Boolean(role)) {
+        return interaction.reply({ content: t('vanitycredit.pickOne'), ephemeral: true });
+      }
+      settings[gid].vanityCredit = user ? { type: 'user', id: user.id } : { type: 'role', id: role.id };
+      saveSettings();
+      return interaction.reply({
+        content: t('vanitycredit.set', { target: `${user ?? role}` }),
+        ephemeral: true
+      });
+    }
+
+    if (interaction.commandName === 'invitecodes') {
+      const user = interaction.options.getUser('user');
+      await interaction.deferReply();
+      await runInJoinQueue(interaction.guildId, () => fetchAndStoreInvites(interaction.guild));
+
+      const retention = codeRetention(interaction.guildId);
+      const codes = Object.entries(invitesCache[interaction.guildId] ?? {})
+        .filter(([, inv]) => isInviteActive(inv) && (!user || inv.inviterId === user.id))
+        .sort((a, b) => (b[1].uses ?? 0) - (a[1].uses ?? 0));
+
+      if (codes.length === 0) {
+        return interaction.editReply({ content: user ? t('invitecodes.noneUser', { user: `${user}` }) : t('invitecodes.none') });
+      }
+
+      const title = t('invitecodes.title', { name: user ? user.tag : interaction.guild.name });
+      const pages = chunk(codes, 8).map((part) =>
+        new EmbedBuilder()
+          .setColor(THEME)
+          .setTitle(title)
+          .setDescription(part.map(([code, inv]) => formatInviteLine(code, inv, retention, t)).join('\n\n'))
+          .setFooter({ text: t('invitecodes.footer', { count: codes.length }) })
+          .setTimestamp()
+      );
+      return replyPaginated(interaction, pages);
+    }
+
+    if (interaction.commandName === 'invitecode') {
+      const code = interaction.options.getString('code', true).trim().replace(/^(https?:\/\/)?(discord\.gg|discord\.com\/invite)\//i, '');
+      const inv = invitesCache[interaction.guildId]?.[code];
+      if (!inv) {
+        return interaction.reply({ content: t('invitecode.unknown', { code }), ephemeral: true });
+      }
+      return interaction.reply({ embeds: [buildInviteInfoEmbed(interaction.guildId, code, inv, t)] });
+    }
+
+    if (interaction.commandName === 'setinviter' || interaction.commandName === 'removeinviter') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const target = interaction.options.getUser('member', true);
+      const inviter = interaction.commandName === 'setinviter' ? interaction.options.getUser('inviter', true) : null;
+      if (inviter && inviter.id === target.id) {
+        return interaction.reply({ content: t('inviter.self'), ephemeral: true });
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      const { oldInviterId, changed } = await reassignInviter(interaction.guild, target.id, inviter?.id ?? null, interaction.user.id);
+      if (!changed) {
+        return interaction.editReply({
+          content: inviter
+            ? t('inviter.already', { inviter: `${inviter}`, member: `${target}` })
+            : t('inviter.noInviter', { member: `${target}` })
+        });
+      }
+      const from = mentionInviter(oldInviterId, t);
+      return interaction.editReply({
+        content: inviter
+          ? t('inviter.changed', { member: `${target}`, from, to: `${inviter}` })
+          : t('inviter.removed', { from, member: `${target}` })
+      });
+    }
+
+    if (interaction.commandName === 'resetinvites') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const user = interaction.options.getUser('user');
+      const what = user ? t('reset.user', { user: `${user}` }) : t('reset.all');
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('reset:confirm').setLabel(t('reset.confirm')).setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId('reset:cancel').setLabel(t('common.cancel')).setStyle(ButtonStyle.Secondary)
+      );
+      const prompt = await interaction.reply({
+        content: t('reset.prompt', { what }),
+        components: [row],
+        ephemeral: true,
+        fetchReply: true
+      });
+
+      const click = await prompt.awaitMessageComponent({
+        componentType: ComponentType.Button,
+        filter: (i) => i.user.id === interaction.user.id,
+        time: 30_000
+      }).catch(() => null);
+
+      if (!click || click.customId !== 'reset:confirm') {
+        const content = t(click ? 'reset.cancelled' : 'reset.timedOut');
+        return click ? click.update({ content, components: [] }) : interaction.editReply({ content, components: [] });
+      }
+      const count = resetInviteStats(interaction.guildId, user?.id ?? null, interaction.user.id);
+      const done = user ? t('reset.doneUser', { user: `${user}` }) : t('reset.doneAll', { count });
+      await click.update({ content: done, components: [] });
+      if (user) await applyRewardRoles(interaction.guild, user.id);
+      return;
+    }
+
+    if (interaction.commandName === 'inviteaudit') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const entries = [...(audit[interaction.guildId] ?? [])].reverse();
+      if (entries.length === 0) {
+        return interaction.reply({ content: t('audit.empty'), ephemeral: true });
+      }
+      const pages = chunk(entries, 10).map((part) =>
+        new EmbedBuilder()
+          .setColor(THEME)
+          .setTitle(t('audit.title'))
+          .setDescription(part.map(e => describeAuditEntry(e, t)).join('\n'))
+          .setFooter({ text: t('audit.footer', { count: entries.length }) })
+          .setTimestamp()
+      );
+      return replyPaginated(interaction, pages, { ephemeral: true });
+    }
+
+    if (interaction.commandName === 'invitedata') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const gid = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === 'export') {
+        const format = interaction.options.getString('format') ?? 'json';
+        const files = format === 'csv'
+          ? Object.entries(exportCsv(stats[gid], membersMap[gid])).map(([name, text]) =>
+            new AttachmentBuilder(Buffer.from(text), { name }))
+          : [new AttachmentBuilder(
+            Buffer.from(JSON.stringify(exportJson(gid, stats[gid], membersMap[gid]), null, 2)),
+            { name: `invites-${gid}.json` }
+          )];
+        return interaction.reply({ content: t('import.exported'), files, ephemeral: true });
+      }
+
+      const file = interaction.options.getAttachment('file');
+      const mode = interaction.options.getString('mode') ?? 'merge';
+      if (file.size > IMPORT_MAX_BYTES) {
+        return interaction.reply({ content: t('import.tooLarge'), ephemeral: true });
+      }
+      await interaction.deferReply({ ephemeral: true });
+      let text;
+      try {
+        const res = await fetch(file.url, { signal: AbortSignal.timeout(15_000) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        text = await res.text();
+      } catch (e) {
+        return interaction.editReply({ content: t('import.downloadFailed', { error: e.message }) });
+      }
+
+      const { plan, errors, errorCount } = prepareImport(gid, text, file.name, mode);
+      if (!plan) {
+        const more = errorCount > errors.length ? `\n${t('common.more', { count: errorCount - errors.length })}` : '';
+        return interaction.editReply({ content: t('import.rejected', { errors: errors.map(e => `• ${e}`).join('\n'), more }) });
+      }
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('import:confirm').setLabel(t('import.apply')).setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId('import:cancel').setLabel(t('common.cancel')).setStyle(ButtonStyle.Secondary)
+      );
+      const prompt = await interaction.editReply({ embeds: [describeImportPlan(plan, t)], components: [row] });
+      const click = await prompt.awaitMessageComponent({
+        componentType: ComponentType.Button,
+        filter: (i) => i.user.id === interaction.user.id,
+        time: 60_000
+      }).catch(() => null);
+
+      if (!click || click.customId !== 'import:confirm') {
+        const content = t(click ? 'import.cancelled' : 'import.timedOut');
+        return click ? click.update({ content, components: [] }) : interaction.editReply({ content, components: [] });
+      }
+      // re-plan so changes made while the preview was open aren't lost
+      const fresh = prepareImport(gid, text, file.name, mode).plan;
+      applyImport(gid, fresh, interaction.user.id, 'command');
+      await click.update({ content: t('import.done', { count: fresh.changes.length }), embeds: [], components: [] });
+      await syncImportedRewards(interaction.guild);
+      return;
+    }
+
+    if (interaction.commandName === 'apikey') {
+      if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+        return interaction.reply({ content: t('common.manageGuildOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+      settings[gid] ??= {};
+      settings[gid].apiKeys ??= [];
+      const keys = settings[gid].apiKeys;
+
+      if (sub === 'create') {
+        const { id, key, hash } = generateApiKey();
+        keys.push({ id, hash, label: interaction.options.getString('label', true), createdBy: interaction.user.id, createdAt: Date.now(), lastUsedAt: null });
+        saveSettings();
+        return interaction.reply({
+          content: t('apikey.created', { id, key, guildId: gid }),
+          ephemeral: true
+        });
+      }
+
+      if (sub === 'revoke') {
+        const id = interaction.options.getString('id', true).trim();
+        const idx = keys.findIndex(k => k.id === id);
+        if (idx === -1) return interaction.reply({ content: t('apikey.unknown', { id }), ephemeral: true });
+        keys.splice(idx, 1);
+        saveSettings();
+        return interaction.reply({ content: t('apikey.revoked', { id }), ephemeral: true });
+      }
+
+      const lines = keys.map(k => t('apikey.line', {
+        id: k.id,
+        label: k.label,
+        by: `<@${k.createdBy}>`,
+        created: `<t:${Math.floor(k.createdAt / 1000)}:R>`,
+        used: k.lastUsedAt ? `<t:${Math.floor(k.lastUsedAt / 1000)}:R>` : t('common.never'),
+      }));
+      return interaction.reply({ content: lines.length ? lines.join('\n') : t('apikey.none'), ephemeral: true });
+    }
+
+    if (interaction.commandName === 'webhook') {
+      if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+        return interaction.reply({ content: t('common.manageGuildOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+      settings[gid] ??= {};
+      settings[gid].webhooks ??= [];
+      const subs = settings[gid].webhooks;
+
+      if (sub === 'add') {
+        const url = interaction.options.getString('url', true).trim();
+        if (!isValidWebhookUrl(url)) {
+          return interaction.reply({ content: t('webhook.badUrl'), ephemeral: true });
+        }
+        const eventsOpt = interaction.options.getString('events');
+        const wanted = eventsOpt ? eventsOpt.split(',').map(e => e.trim()).filter(Boolean) : [...WEBHOOK_EVENTS];
+        const unknown = wanted.filter(e => !WEBHOOK_EVENTS.includes(e));
+        if (unknown.length || wanted.length === 0) {
+          return interaction.reply({
+            content: t('webhook.unknownEvents', { events: unknown.join(', ') || '(none)', valid: WEBHOOK_EVENTS.join(', ') }),
+            ephemeral: true
+          });
+        }
+        // Resolving the host can take a while
+        await interaction.deferReply({ ephemeral: true });
+        const problem = await checkWebhookTarget(url);
+        if (problem) {
+          return interaction.editReply({ content: t(problem === 'unresolvable' ? 'webhook.unresolvable' : 'webhook.privateUrl') });
+        }
+        const id = generateWebhookId();
+        const secret = generateSecret();
+        subs.push({ id, url, secret, events: wanted, createdBy: interaction.user.id, createdAt: Date.now(), lastDelivery: null });
+        saveSettings();
+        return interaction.editReply({ content: t('webhook.added', { id, events: wanted.join(', '), secret }) });
+      }
+
+      const id = sub === 'list' ? null : interaction.options.getString('id', true).trim();
+      const target = id ? subs.find(w => w.id === id) : null;
+      if (id && !target) return interaction.reply({ content: t('webhook.unknown', { id }), ephemeral: true });
+
+      if (sub === 'remove') {
+        subs.splice(subs.indexOf(target), 1);
+        saveSettings();
+        return interaction.reply({ content: t('webhook.removed', { id }), ephemeral: true });
+      }
+
+      if (sub === 'test') {
+        await interaction.deferReply({ ephemeral: true });
+        const result = await webhooks.sendTest(gid, target);
+        return interaction.editReply({
+          content: result.ok ? t('webhook.testOk', { status: result.status }) : t('webhook.testFailed', { error: result.error })
+        });
+      }
+
+      const lines = subs.map((w) => {
+        const last = w.lastDelivery
+          ? `${w.lastDelivery.ok ? '✅' : '❌'} <t:${Math.floor(w.lastDelivery.at / 1000)}:R>${w.lastDelivery.ok ? '' : ` (${w.lastDelivery.error})`}`
+          : t('webhook.noDeliveries');
+        return t('webhook.line', { id: w.id, url: w.url, events: w.events.join(', '), last });
+      });
+      return interaction.reply({ content: lines.length ? lines.join('\n').slice(0, 2000) : t('webhook.none'), ephemeral: true });
+    }
+
+    if (interaction.commandName === 'statuspanel') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const gid = interaction.guildId;
+      if (interaction.options.getSubcommand() === 'remove') {
+        if (!statusStore[gid]) return interaction.reply({ content: t('statuspanel.none'), ephemeral: true });
+        delete statusStore[gid];
+        panelSchedule.delete(gid);
+        saveStatus();
+        return interaction.reply({ content: t('statuspanel.removed'), ephemeral: true });
+      }
+
+      const ch = interaction.options.getChannel('channel', true);
+      const perms = ch.permissionsFor(interaction.guild.members.me);
+      if (!perms?.has([PermissionsBitField.Flags.SendMessages, PermissionsBitField.Flags.EmbedLinks])) {
+        return interaction.reply({ content: t('common.needSendEmbed', { channel: `${ch}` }), ephemeral: true });
+      }
+      const intervalSec = Math.max(STATUS_MIN_INTERVAL_S, interaction.options.getInteger('interval') ?? STATUS_DEFAULT_INTERVAL_S);
+      const prev = statusStore[gid];
+      statusStore[gid] = {
+        channelId: ch.id,
+        messageId: prev?.channelId === ch.id ? prev.messageId : null,
+        intervalSec,
+      };
+      saveStatus();
+      panelSchedule.set(gid, { nextAt: 0, backoffMs: 0 }); // post on the next tick
+      return interaction.reply({ content: t('statuspanel.set', { channel: `${ch}`, seconds: intervalSec }), ephemeral: true });
+    }
+
+    if (interaction.commandName === 'logtemplate') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const type = interaction.options.getString('type', true);
+      const gid = interaction.guildId;
+
+      if (sub === 'set') {
+        const text = interaction.options.getString('text');
+        const mode = interaction.options.getString('mode');
+        if (text === null && mode === null) {
+          const list = Object.entries(PLACEHOLDERS).map(([k, d]) => `\`{${k}}\` — ${t(`templates.placeholders.${k}`, {}, d)}`).join('\n');
+          return interaction.reply({ content: t('templates.needInput', { list }), ephemeral: true });
+        }
+        settings[gid] ??= {};
+        settings[gid].templates ??= {};
+        settings[gid].templates[type] = {
+          ...(settings[gid].templates[type] ?? {}),
+          ...(text !== null ? { text: normalizeTemplateText(text) } : {}),
+          ...(mode !== null ? { mode } : {}),
+        };
+        saveSettings();
+      } else if (sub === 'reset') {
+        if (settings[gid]?.templates?.[type]) {
+          delete settings[gid].templates[type];
+          saveSettings();
+        }
+      }
+
+      const label = t(`templates.labels.${type}`, {}, TEMPLATE_LABELS[type]);
+      const note = t(sub === 'set' ? 'templates.updated' : sub === 'reset' ? 'templates.reset' : 'templates.preview', { label });
+      // the preview is rendered like the real log: in the server's language
+      const vars = sampleTemplateVars(interaction, guildTranslator(interaction.guild));
+      const payload = buildLogPayload(getTemplate(interaction.guild, type), vars, interaction.user);
+      return interaction.reply({
+        ...payload,
+        content: payload.content ? `${note}\n\n${payload.content}`.slice(0, 2000) : note,
+        ephemeral: true
+      });
+    }
+
+    if (interaction.commandName === 'rewards') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+      settings[gid] ??= {};
+      settings[gid].rewards ??= { stack: true, tiers: [] };
+      settings[gid].rewards.tiers ??= [];
+      const rewards = settings[gid].rewards;
+
+      if (sub === 'add') {
+        const threshold = interaction.options.getInteger('invites', true);
+        const role = interaction.options.getRole('role', true);
+        if (role.managed || role.id === gid) {
+          return interaction.reply({ content: t('common.roleNotGrantable'), ephemeral: true });
+        }
+        if (!interaction.guild.members.me.permissions.has(PermissionsBitField.Flags.ManageRoles) || !role.editable) {
+          return interaction.reply({ content: t('common.cannotManageRole', { role: `${role}` }), ephemeral: true });
+        }
+        rewards.tiers = rewards.tiers.filter(tier => tier.roleId !== role.id);
+        rewards.tiers.push({ threshold, roleId: role.id });
+        saveSettings();
+        return interaction.reply({ content: t('rewards.added', { role: `${role}`, threshold }), ephemeral: true });
+      }
+
+      if (sub === 'remove') {
+        const role = interaction.options.getRole('role', true);
+        const before = rewards.tiers.length;
+        rewards.tiers = rewards.tiers.filter(tier => tier.roleId !== role.id);
+        if (rewards.tiers.length === before) {
+          return interaction.reply({ content: t('rewards.notReward', { role: `${role}` }), ephemeral: true });
+        }
+        saveSettings();
+        return interaction.reply({ content: t('rewards.removed', { role: `${role}` }), ephemeral: true });
+      }
+
+      if (sub === 'mode') {
+        rewards.stack = interaction.options.getString('mode', true) === 'stack';
+        saveSettings();
+        return interaction.reply({
+          content: t('rewards.modeSet', { mode: t(rewards.stack ? 'rewards.stack' : 'rewards.highest') }),
+          ephemeral: true
+        });
+      }
+
+      if (sub === 'sync') {
+        if (rewards.tiers.length === 0) {
+          return interaction.reply({ content: t('rewards.noTiers'), ephemeral: true });
+        }
+        await interaction.deferReply({ ephemeral: true });
+        const checked = await syncRewardRoles(interaction.guild).catch((e) => {
+          console.warn(`[${interaction.guild.name}] Reward sync failed: ${e.message}`);
+          return null;
+        });
+        return interaction.editReply({
+          content: checked === null ? t('rewards.syncFailed') : t('rewards.synced', { count: checked })
+        });
+      }
+
+      // list
+      const { stack, tiers } = getRewardSettings(gid);
+      const lines = tiers.map(tier => t('rewards.tier', { threshold: tier.threshold, role: `<@&${tier.roleId}>` }));
+      const embed = new EmbedBuilder()
+        .setColor(THEME)
+        .setTitle(t('rewards.title'))
+        .setDescription(lines.length ? lines.join('\n') : t('rewards.noTiers'))
+        .setFooter({ text: t('rewards.footer', { mode: t(stack ? 'rewards.stack' : 'rewards.highest') }) })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (interaction.commandName === 'myinvite') {
+      await interaction.deferReply({ ephemeral: true });
+      const result = await ensurePersonalInvite(interaction.guild, interaction.user.id, interaction.user.id, t);
+      if (result.error) return interaction.editReply({ content: result.error });
+      const inv = invitesCache[interaction.guildId]?.[result.code];
+      const url = `https://discord.gg/${result.code}`;
+      return interaction.editReply({
+        content: `${t(result.created ? 'personal.ready' : 'personal.yours', { url })}\n${t('personal.usage', { uses: inv?.uses ?? 0 })}`
+      });
+    }
+
+    if (interaction.commandName === 'personalinvites') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+
+      if (sub === 'list') {
+        const entries = Object.entries(owners[gid] ?? {})
+          .sort(([a], [b]) => (invitesCache[gid]?.[b]?.uses ?? 0) - (invitesCache[gid]?.[a]?.uses ?? 0));
+        if (entries.length === 0) {
+          return interaction.reply({ content: t('personal.none'), ephemeral: true });
+        }
+        const lines = entries.map(([code, o]) => {
+          const inv = invitesCache[gid]?.[code];
+          return t('personal.line', {
+            code,
+            owner: `<@${o.ownerId}>`,
+            uses: inv ? t('personal.uses', { count: inv.uses ?? 0 }) : t('personal.notFound'),
+            created: `<t:${Math.floor(o.createdAt / 1000)}:d>`,
+          });
+        });
+        const pages = chunk(lines, 15).map(part => new EmbedBuilder()
+          .setColor(THEME)
+          .setTitle(t('personal.title'))
+          .setDescription(part.join('\n'))
+          .setFooter({ text: t('personal.footer', { count: entries.length }) })
+          .setTimestamp());
+        return replyPaginated(interaction, pages, { ephemeral: true });
+      }
+
+      const user = interaction.options.getUser('user', true);
+      const code = personalInviteCode(gid, user.id);
+
+      if (sub === 'create') {
+        if (user.bot) return interaction.reply({ content: t('personal.noBots'), ephemeral: true });
+        await interaction.deferReply({ ephemeral: true });
+        const result = await ensurePersonalInvite(interaction.guild, user.id, interaction.user.id, t);
+        if (result.error) return interaction.editReply({ content: result.error });
+        return interaction.editReply({
+          content: t(result.created ? 'personal.created' : 'personal.exists', { url: `https://discord.gg/${result.code}`, user: `${user}` })
+        });
+      }
+
+      if (!code) return interaction.reply({ content: t('personal.noInvite', { user: `${user}` }), ephemeral: true });
+
+      if (sub === 'revoke') {
+        setInviteOwner(gid, code, null);
+        const deleted = await interaction.guild.invites.delete(code, `Personal invite revoked by ${interaction.user.tag}`)
+          .then(() => true, () => false);
+        return interaction.reply({
+          content: t('personal.revoked', { user: `${user}`, code, gone: deleted ? '' : t('personal.alreadyGone') }),
+          ephemeral: true
+        });
+      }
+
+      // reassign
+      const to = interaction.options.getUser('to', true);
+      if (to.bot) return interaction.reply({ content: t('personal.noBots'), ephemeral: true });
+      if (personalInviteCode(gid, to.id)) {
+        return interaction.reply({ content: t('personal.hasOne', { user: `${to}` }), ephemeral: true });
+      }
+      setInviteOwner(gid, code, to.id);
+      return interaction.reply({
+        content: t('personal.reassigned', { code, user: `${to}` }),
+        ephemeral: true
+      });
+    }
+
+    if (interaction.commandName === 'contest') {
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+      const current = contests[gid];
+
+      if (sub === 'status') {
+        if (!current) return interaction.reply({ content: t('contest.noneYet'), ephemeral: true });
+        // Live standings may fetch every member of a large guild
+        await interaction.deferReply({ ephemeral: true });
+        const standings = current.status === 'running' ? await currentStandings(interaction.guild, current) : current.results;
+        return interaction.editReply({ embeds: [contestEmbed(current, standings, t)] });
+      }
+
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+
+      if (sub === 'end') {
+        if (current?.status !== 'running') return interaction.reply({ content: t('contest.notRunning'), ephemeral: true });
+        const announce = interaction.options.getBoolean('announce') ?? true;
+        await interaction.deferReply({ ephemeral: true });
+        const ended = await endContest(interaction.guild, { announce });
+        if (!ended) return interaction.editReply({ content: t('contest.ending') });
+        return interaction.editReply({
+          content: announce
+            ? t('contest.endedAnnounced', { name: ended.name, channel: `<#${ended.channelId}>` })
+            : t('contest.endedQuiet', { name: ended.name })
+        });
+      }
+
+      // create
+      if (current?.status === 'running') {
+        return interaction.reply({ content: t('contest.stillRunning', { name: current.name }), ephemeral: true });
+      }
+      const name = interaction.options.getString('name', true).trim().slice(0, 100);
+      const durationMs = parseDuration(interaction.options.getString('duration', true));
+      if (!durationMs || durationMs < CONTEST_MIN_MS || durationMs > CONTEST_MAX_MS) {
+        return interaction.reply({ content: t('contest.badDuration'), ephemeral: true });
+      }
+      const channel = interaction.options.getChannel('channel', true);
+      if (channel.type !== ChannelType.GuildText) {
+        return interaction.reply({ content: t('common.textChannel'), ephemeral: true });
+      }
+      const perms = channel.permissionsFor(interaction.guild.members.me);
+      if (!perms?.has(PermissionsBitField.Flags.SendMessages) || !perms.has(PermissionsBitField.Flags.EmbedLinks)) {
+        return interaction.reply({ content: t('common.needSendEmbed', { channel: `${channel}` }), ephemeral: true });
+      }
+      const prizeRole = interaction.options.getRole('prize_role');
+      if (prizeRole) {
+        if (prizeRole.managed || prizeRole.id === gid) {
+          return interaction.reply({ content: t('common.roleNotGrantable'), ephemeral: true });
+        }
+        if (!interaction.guild.members.me.permissions.has(PermissionsBitField.Flags.ManageRoles) || !prizeRole.editable) {
+          return interaction.reply({ content: t('common.cannotManageRole', { role: `${prizeRole}` }), ephemeral: true });
+        }
+      }
+
+      const mode = interaction.options.getString('mode') ?? 'snapshot';
+      const rules = { ...DEFAULT_CONTEST_RULES };
+      for (const [option, key] of [['exclude_fakes', 'excludeFakes'], ['exclude_rejoins', 'excludeRejoins'], ['exclude_bonus', 'excludeBonus']]) {
+        const value = interaction.options.getBoolean(option);
+        if (value !== null) rules[key] = value;
+      }
+      const now = Date.now();
+      const contest = {
+        name,
+        mode,
+        status: 'running',
+        startAt: now,
+        endAt: now + durationMs,
+        channelId: channel.id,
+        messageId: null,
+        winners: interaction.options.getInteger('winners') ?? 3,
+        prize: interaction.options.getString('prize')?.trim().slice(0, 200) || null,
+        prizeRoleId: prizeRole?.id ?? null,
+        rules,
+        createdBy: interaction.user.id,
+        baseline: mode === 'snapshot' ? structuredClone(stats[gid] ?? {}) : null,
+      };
+      contests[gid] = contest;
+      saveContests();
+
+      await interaction.deferReply({ ephemeral: true });
+      const msg = await channel.send({ embeds: [contestEmbed(contest, [], guildTranslator(interaction.guild))] }).catch(() => null);
+      contest.messageId = msg?.id ?? null;
+      saveContests();
+      return interaction.editReply({
+        content: t('contest.started', { name, when: `<t:${Math.floor(contest.endAt / 1000)}:R>`, channel: `${channel}` })
+      });
+    }
+
+    if (interaction.commandName === 'raidmode') {
+      if (!hasStaffAccess(interaction)) {
+        return interaction.reply({ content: t('common.staffOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+      const mode = settings[gid]?.raidMode;
+
+      if (sub === 'status') {
+        const rules = getRaidRules(gid);
+        const seconds = rules.windowSeconds;
+        const triggers = [
+          rules.joins > 0 ? t('raidmode.joinsTrigger', { joins: rules.joins, seconds }) : null,
+          rules.youngSharePct > 0 ? t('raidmode.youngTrigger', { pct: rules.youngSharePct, days: rules.youngAccountDays, seconds }) : null,
+        ].filter(Boolean);
+        const embed = new EmbedBuilder()
+          .setColor(THEME)
+          .setTitle(t('raidmode.title'))
+          .setDescription(mode
+            ? t('raidmode.on', { since: `<t:${Math.floor(mode.since / 1000)}:R>`, by: `<@${mode.by}>` })
+            : t('raidmode.off'))
+          .addFields(
+            { name: t('raidmode.detection'), value: triggers.length ? triggers.join(`\n${t('raidmode.or')} `) : t('common.off') },
+            {
+              name: t('raidmode.onBurst'),
+              value: [
+                t('raidmode.alert', { target: rules.alertRoleId ? `<@&${rules.alertRoleId}>` : t('raidmode.logOnly') }),
+                t('raidmode.hold', { value: t(rules.holdCredit ? 'common.yes' : 'common.no') }),
+                t('raidmode.action', { action: t(`raid.actions.${rules.action}`, {}, rules.action) }),
+              ].join('\n')
+            },
+            { name: t('raidmode.heldSoFar'), value: `**${stats[gid]?.raid?.joins ?? 0}**` }
+          )
+          .setFooter({ text: t('raidmode.footer') })
+          .setTimestamp();
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      const on = sub === 'on';
+      if (Boolean(mode) === on) {
+        return interaction.reply({ content: t('raidmode.already', { state: t(on ? 'common.on' : 'common.off') }), ephemeral: true });
+      }
+      settings[gid] ??= {};
+      if (on) settings[gid].raidMode = { since: Date.now(), by: interaction.user.id };
+      else delete settings[gid].raidMode;
+      saveSettings();
+      recordAudit(gid, { action: 'raidmode', by: interaction.user.id, on });
+
+      // the log channel gets the server's language, the reply the user's
+      const notice = (tr) => tr(on ? 'raidmode.turnedOn' : 'raidmode.turnedOff', { user: `${interaction.user}` });
+      const logCh = getLogChannel(interaction.guild);
+      if (logCh?.permissionsFor(interaction.guild.members.me)?.has(PermissionsBitField.Flags.SendMessages)) {
+        await logCh.send({ content: notice(guildTranslator(interaction.guild)), allowedMentions: { parse: [] } }).catch(() => {});
+      }
+      return interaction.reply({ content: `✅ ${notice(t)}`, ephemeral: true });
+    }
+
+    if (interaction.commandName === 'config') {
+      if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+        return interaction.reply({ content: t('common.manageGuildOnly'), ephemeral: true });
+      }
+      const sub = interaction.options.getSubcommand();
+      const gid = interaction.guildId;
+
+      if (sub === 'view') {
+        const lines = Object.keys(CONFIG_KEYS)
+          .map(key => `\`${key}\`: ${formatConfigValue(key, readConfig(settings[gid], key), t)}`);
+        const embed = new EmbedBuilder()
+          .setColor(THEME)
+          .setTitle(t('config.title'))
+          .setDescription(lines.join('\n'))
+          .setFooter({ text: t('config.footer') })
+          .setTimestamp();
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      const key = interaction.options.getString('key', true);
+      const def = CONFIG_KEYS[key];
+      if (!def) {
+        return interaction.reply({ content: t('config.unknownKey', { key }), ephemeral: true });
+      }
+
+      if (sub === 'set') {
+        const { value, error } = parseConfigValue(key, interaction.options.getString('value', true), interaction.guild, t);
+        if (error) {
+          return interaction.reply({ content: t('config.invalid', { key, error }), ephemeral: true });
+        }
+        settings[gid] ??= {};
+        writeConfig(settings[gid], key, value);
+        saveSettings();
+        return interaction.reply({ content: t('config.set', { key, value: formatConfigValue(key, value, t) }), ephemeral: true });
+      }
+
+      // reset
+      if (settings[gid]) {
+        clearConfig(settings[gid], key);
+        saveSettings();
+      }
+      return interaction.reply({
+        content: t('config.reset', { key, value: formatConfigValue(key, def.default, t) }),
+        ephemeral: true
+      });
+    }
+  }
+
+  // Autocomplete for `/config set|reset`: setting names for `key`, and for
+  // `value` whatever the chosen key accepts (channels, roles, true/false, ...)
+  function configSuggestions(interaction, focused, t) {
+    const typed = String(focused.value ?? '').toLowerCase();
+    if (focused.name === 'key') {
+      return Object.entries(CONFIG_KEYS)
+        .filter(([key]) => key.toLowerCase().includes(typed))
+        .map(([key, def]) => ({ name: `${key} · ${t(`config.keys.${key}`, {}, def.description)}`.slice(0, 100), value: key }));
+    }
+
+    const def = CONFIG_KEYS[interaction.options.getString('key')];
+    if (!def) return [];
+    const guild = interaction.guild;
+    if (def.type === 'boolean') return ['true', 'false'].filter(v => v.startsWith(typed)).map(v => ({ name: v, value: v }));
+    if (def.type === 'choice') return def.choices.filter(v => v.startsWith(typed)).map(v => ({ name: v, value: v }));
+    if (def.type === 'role') {
+      return guild.roles.cache
+        .filter(r => r.id !== guild.id && r.name.toLowerCase().includes(typed))
+        .map(r => ({ name: `@${r.name}`.slice(0, 100), value: r.id }));
+    }
+    if (def.type === 'channel' || def.type === 'channels') {
+      // for a channel list only the part after the last comma is completed
+      const parts = typed.split(',');
+      const last = parts.pop().trim();
+      const prefix = def.type === 'channels' ? parts.map(p => p.trim()).filter(Boolean) : [];
+      return guild.channels.cache
+        .filter(ch => ch.name.toLowerCase().includes(last) && (def.type === 'channels' || ch.type === ChannelType.GuildText))
+        .map(ch => ({ name: `#${ch.name}`.slice(0, 100), value: [...prefix, ch.id].join(',') }));
+    }
+    return [];
+  }
+
+  // ---------- API CONTEXT ----------
+  // Accessors for the REST API (src/api.js)
+  const apiContext = {
+    client,
+    state: () => ({ invitesCache, events }),
+    computeTotal,
+    emptyStats,
+    isPseudoInviter,
+    resolvePeriod,
+    statsForPeriod,
+    indirectForPeriod,
+    codeRetention,
+    isInviteActive,
+    getLogChannels,
+    setLogChannels,
+    exportData(guildId, format) {
+      return format === 'csv'
+        ? exportCsv(stats[guildId], membersMap[guildId])
+        : exportJson(guildId, stats[guildId], membersMap[guildId]);
+    },
+    previewImport: prepareImport,
+    applyImport,
+    syncImportedRewards,
+    findApiKey(hash) {
+      for (const [guildId, s] of Object.entries(settings)) {
+        const key = s.apiKeys?.find(k => k.hash === hash);
+        if (key) return { guildId, key };
+      }
+      return null;
+    },
+    touchApiKey(guildId, keyId) {
+      const key = settings[guildId]?.apiKeys?.find(k => k.id === keyId);
+      if (key) {
+        key.lastUsedAt = Date.now();
+        saveSettings();
+      }
+    },
+  };
+
+  // Clears the timers started on ready so the process (or a test) can exit
+  function stop() {
+    clearInterval(statusTimer);
+    clearInterval(heartbeatTimer);
+    clearInterval(contestTimer);
+    clearInterval(cleanupTimer);
+    statusTimer = null;
+    heartbeatTimer = null;
+    contestTimer = null;
+    cleanupTimer = null;
+  }
+
+  // ---------- EVENT WIRING ----------
+  // A handler that throws would become an unhandled rejection and end the
+  // process, so every one is wrapped: the error is logged, and a command that
+  // can still be answered gets an ephemeral error reply.
+  function logHandlerError(event, guild, e) {
+    console.error(EN('errors.handler', { event, where: guild ? ` [${guild.name}]` : '', error: e?.stack ?? e }));
+  }
+
+  function guarded(event, handler) {
+    return async (subject, ...rest) => {
+      try {
+        await handler(subject, ...rest);
+      } catch (e) {
+        // members and invites carry their guild; guildCreate/guildDelete get the guild itself
+        logHandlerError(event, subject?.guild ?? (subject?.members ? subject : null), e);
+      }
+    };
+  }
+
+  async function onInteraction(interaction) {
+    try {
+      await onInteractionCreate(interaction);
+    } catch (e) {
+      logHandlerError(`/${interaction.commandName}`, interaction.guild, e);
+      if (!interaction.isChatInputCommand()) return;
+      const payload = { content: interactionTranslator(interaction)('errors.command'), ephemeral: true };
+      await (interaction.deferred || interaction.replied ? interaction.followUp(payload) : interaction.reply(payload)).catch(() => {});
+    }
+  }
+
+  const handlers = {
+    ready: guarded('ready', onReady),
+    guildCreate: guarded('guildCreate', onGuildCreate),
+    guildDelete: guarded('guildDelete', onGuildDelete),
+    inviteCreate: guarded('inviteCreate', onInviteCreate),
+    inviteDelete: guarded('inviteDelete', onInviteDelete),
+    guildMemberAdd: guarded('guildMemberAdd', onGuildMemberAdd),
+    guildMemberRemove: guarded('guildMemberRemove', onGuildMemberRemove),
+    interactionCreate: onInteraction,
+  };
+  client.once('ready', handlers.ready);
+  for (const [event, handler] of Object.entries(handlers)) if (event !== 'ready') client.on(event, handler);
+
+  return {
+    load,
+    stop,
+    apiContext,
+    // live references; loadAll() replaces them, so read them through this
+    state: () => ({ invitesCache, stats, statusStore, membersMap, settings, joinHistory, events, audit, seen, contests, departed }),
+    runCleanup,
+    handlers,
+  };
+}
+
+module.exports = { createBot };
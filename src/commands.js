@@ -0,0 +1,832 @@
+// Slash command definitions (raw API JSON), registered by index.js.
+// Translations of names and descriptions come from the locale bundles (i18n.js).
+const { PermissionsBitField, ChannelType } = require('discord.js');
+const { LEADERBOARD_SORTS } = require('./stats');
+const { TEMPLATE_TYPES, TEMPLATE_LABELS } = require('./templates');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { MAX_TREE_DEPTH } = require('./referrals');
+const { CONTEST_MODES, MAX_WINNERS } = require('./contests');
+const { localizeCommands } = require('./i18n');
+
+// Status panel update interval bounds, shared with the panel scheduler
+const STATUS_MIN_INTERVAL_S = 30;
+const STATUS_DEFAULT_INTERVAL_S = 60;
+
+const PERIOD_OPTIONS = [
+  {
+    type: 3,
+    name: 'period',
+    description: 'Time window (default: all time)',
+    required: false,
+    choices: [
+      { name: 'Today', value: 'today' },
+      { name: 'This week', value: 'week' },
+      { name: 'This month', value: 'month' },
+      { name: 'All time', value: 'all' },
+      { name: 'Custom (use from/to)', value: 'custom' }
+    ]
+  },
+  {
+    type: 3,
+    name: 'from',
+    description: 'Custom start date (YYYY-MM-DD, UTC)',
+    required: false
+  },
+  {
+    type: 3,
+    name: 'to',
+    description: 'Custom end date, inclusive (YYYY-MM-DD, UTC)',
+    required: false
+  }
+];
+
+const TEMPLATE_TYPE_OPTION = {
+  type: 3,
+  name: 'type',
+  description: 'Which log message',
+  required: true,
+  choices: TEMPLATE_TYPES.map(t => ({ name: TEMPLATE_LABELS[t], value: t }))
+};
+
+const CONFIG_KEY_OPTION = {
+  type: 3,
+  name: 'key',
+  description: 'Setting name',
+  required: true,
+  autocomplete: true
+};
+
+const commands = localizeCommands([
+  {
+    name: 'setinvitelog',
+    description: 'Set the channel for invite logs',
+    options: [
+      {
+        type: 7,
+        name: 'channel',
+        description: 'Text channel for logs',
+        channel_types: [ChannelType.GuildText],
+        required: true
+      },
+      {
+        type: 3,
+        name: 'type',
+        description: 'Which logs go to this channel (default: all)',
+        required: false,
+        choices: [
+          { name: 'All logs', value: 'all' },
+          { name: 'Join logs only', value: 'join' },
+          { name: 'Leave logs only', value: 'leave' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'invites',
+    description: 'Show invite stats (no user = yourself)',
+    options: [
+      {
+        type: 6,
+        name: 'user',
+        description: 'Optional: choose a user',
+        required: false
+      },
+      ...PERIOD_OPTIONS
+    ]
+  },
+  {
+    name: 'invitetree',
+    description: 'Show who a user invited, who those members invited, and so on',
+    options: [
+      {
+        type: 6,
+        name: 'user',
+        description: 'Optional: choose a user',
+        required: false
+      },
+      {
+        type: 4,
+        name: 'depth',
+        description: 'Levels to show (default 3)',
+        required: false,
+        min_value: 1,
+        max_value: MAX_TREE_DEPTH
+      }
+    ]
+  },
+  {
+    name: 'avatar',
+    description: 'Show the avatar of a user (no user = yourself)',
+    options: [
+      {
+        type: 6,
+        name: 'user',
+        description: 'Optional: choose a user',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'lb',
+    description: 'Leaderboard: most invites, page by page',
+    options: [
+      {
+        type: 3,
+        name: 'sort',
+        description: 'What to rank by (default: total)',
+        required: false,
+        choices: Object.entries(LEADERBOARD_SORTS).map(([value, { label }]) => ({ name: label, value }))
+      },
+      {
+        type: 4,
+        name: 'amount',
+        description: 'Positions per page (3–25, default 10)',
+        required: false,
+        min_value: 3,
+        max_value: 25
+      },
+      {
+        type: 5,
+        name: 'include_left',
+        description: 'Also rank users who left the server (default: no)',
+        required: false
+      },
+      ...PERIOD_OPTIONS
+    ]
+  },
+  {
+    name: 'bonus',
+    description: 'Add or subtract bonus invites for a user',
+    options: [
+      {
+        type: 6,
+        name: 'user',
+        description: 'User to modify',
+        required: true
+      },
+      {
+        type: 4,
+        name: 'amount',
+        description: 'Amount to add (use negative to subtract)',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'fakerules',
+    description: 'View or configure fake/alt account detection',
+    options: [
+      {
+        type: 1,
+        name: 'view',
+        description: 'Show the current fake account rules'
+      },
+      {
+        type: 1,
+        name: 'set',
+        description: 'Change one or more fake account rules',
+        options: [
+          {
+            type: 4,
+            name: 'min_age_days',
+            description: 'Minimum account age in days (0 = off)',
+            required: false,
+            min_value: 0,
+            max_value: 365
+          },
+          {
+            type: 5,
+            name: 'default_avatar',
+            description: 'Treat accounts without a custom avatar as fake',
+            required: false
+          },
+          {
+            type: 3,
+            name: 'name_pattern',
+            description: 'Regex matched against username/display name ("off" to disable)',
+            required: false,
+            max_length: 200
+          },
+          {
+            type: 4,
+            name: 'leave_within_hours',
+            description: 'Members leaving within this many hours count as fake (0 = off)',
+            required: false,
+            min_value: 0,
+            max_value: 720
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'reset',
+        description: 'Restore the default fake account rules'
+      }
+    ]
+  },
+  {
+    name: 'rewards',
+    description: 'Manage roles granted automatically at invite thresholds',
+    options: [
+      {
+        type: 1,
+        name: 'add',
+        description: 'Grant a role once a user reaches an invite total',
+        options: [
+          {
+            type: 4,
+            name: 'invites',
+            description: 'Invite total required',
+            required: true,
+            min_value: 1
+          },
+          {
+            type: 8,
+            name: 'role',
+            description: 'Role to grant',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'remove',
+        description: 'Remove the reward tier for a role',
+        options: [
+          {
+            type: 8,
+            name: 'role',
+            description: 'Reward role to remove',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'list',
+        description: 'List all reward tiers'
+      },
+      {
+        type: 1,
+        name: 'mode',
+        description: 'Stack all reached tiers or keep only the highest',
+        options: [
+          {
+            type: 3,
+            name: 'mode',
+            description: 'How reward roles are combined',
+            required: true,
+            choices: [
+              { name: 'Stack all reached tiers', value: 'stack' },
+              { name: 'Highest tier only', value: 'highest' }
+            ]
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'sync',
+        description: 'Recompute reward roles for everyone'
+      }
+    ]
+  },
+  {
+    name: 'joinsources',
+    description: 'How members found the server: invites, vanity URL, OAuth, bots',
+    options: [...PERIOD_OPTIONS]
+  },
+  {
+    name: 'vanitycredit',
+    description: 'Credit vanity URL joins to a user or role',
+    options: [
+      {
+        type: 1,
+        name: 'set',
+        description: 'Credit future vanity joins to a user or a role',
+        options: [
+          { type: 6, name: 'user', description: 'User who gets the credit', required: false },
+          { type: 8, name: 'role', description: 'Role that gets the credit', required: false }
+        ]
+      },
+      {
+        type: 1,
+        name: 'clear',
+        description: 'Count vanity joins under "Vanity URL" again'
+      }
+    ]
+  },
+  {
+    name: 'invitecodes',
+    description: 'List active invite codes with uses, expiry and retention',
+    options: [
+      {
+        type: 6,
+        name: 'user',
+        description: 'Only show codes created by this user (default: whole server)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'invitecode',
+    description: 'Invite code details',
+    options: [
+      {
+        type: 1,
+        name: 'info',
+        description: 'Show analytics for one invite code',
+        options: [
+          {
+            type: 3,
+            name: 'code',
+            description: 'Invite code',
+            required: true,
+            autocomplete: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'setinviter',
+    description: 'Assign or correct who invited a member',
+    options: [
+      {
+        type: 6,
+        name: 'member',
+        description: 'Member whose inviter to set',
+        required: true
+      },
+      {
+        type: 6,
+        name: 'inviter',
+        description: 'Who invited them',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'removeinviter',
+    description: 'Remove the inviter of a member and take back the credit',
+    options: [
+      {
+        type: 6,
+        name: 'member',
+        description: 'Member whose inviter to remove',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'resetinvites',
+    description: 'Reset invite stats for one user or the whole server',
+    options: [
+      {
+        type: 6,
+        name: 'user',
+        description: 'User to reset (default: everyone)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'inviteaudit',
+    description: 'Review staff changes to inviters, bonus and resets'
+  },
+  {
+    name: 'invitedata',
+    description: 'Export or import invite stats and member inviters',
+    options: [
+      {
+        type: 1,
+        name: 'export',
+        description: 'Download invite stats and member inviters as a file',
+        options: [
+          {
+            type: 3,
+            name: 'format',
+            description: 'File format (default: json)',
+            required: false,
+            choices: [
+              { name: 'JSON', value: 'json' },
+              { name: 'CSV', value: 'csv' }
+            ]
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'import',
+        description: 'Import invite data from a JSON or CSV file (shows a preview first)',
+        options: [
+          {
+            type: 11,
+            name: 'file',
+            description: 'Export from this bot, or a userId/total CSV or JSON from another bot',
+            required: true
+          },
+          {
+            type: 3,
+            name: 'mode',
+            description: 'merge adds to current counts, replace overwrites them (default: merge)',
+            required: false,
+            choices: [
+              { name: 'Merge', value: 'merge' },
+              { name: 'Replace', value: 'replace' }
+            ]
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'apikey',
+    description: 'Manage API keys for the invite stats HTTP API',
+    default_member_permissions: (PermissionsBitField.Flags.ManageGuild).toString(),
+    options: [
+      {
+        type: 1,
+        name: 'create',
+        description: 'Create a new API key (shown once)',
+        options: [
+          {
+            type: 3,
+            name: 'label',
+            description: 'What the key is for, e.g. "website"',
+            required: true,
+            max_length: 50
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'list',
+        description: 'List API keys of this server'
+      },
+      {
+        type: 1,
+        name: 'revoke',
+        description: 'Revoke an API key',
+        options: [
+          {
+            type: 3,
+            name: 'id',
+            description: 'Key id (see /apikey list)',
+            required: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'webhook',
+    description: 'Manage outgoing webhooks for join/leave/invite events',
+    default_member_permissions: (PermissionsBitField.Flags.ManageGuild).toString(),
+    options: [
+      {
+        type: 1,
+        name: 'add',
+        description: 'Subscribe an HTTPS endpoint (secret shown once)',
+        options: [
+          {
+            type: 3,
+            name: 'url',
+            description: 'HTTPS URL that receives the POST requests',
+            required: true,
+            max_length: 500
+          },
+          {
+            type: 3,
+            name: 'events',
+            description: `Comma-separated events (default: all): ${WEBHOOK_EVENTS.join(', ')}`.slice(0, 100),
+            required: false
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'list',
+        description: 'List webhook subscriptions'
+      },
+      {
+        type: 1,
+        name: 'remove',
+        description: 'Remove a webhook subscription',
+        options: [
+          {
+            type: 3,
+            name: 'id',
+            description: 'Subscription id (see /webhook list)',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'test',
+        description: 'Send a test event to a subscription',
+        options: [
+          {
+            type: 3,
+            name: 'id',
+            description: 'Subscription id (see /webhook list)',
+            required: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'statuspanel',
+    description: 'Manage the live bot status panel of this server',
+    options: [
+      {
+        type: 1,
+        name: 'set',
+        description: 'Post the status panel in a channel',
+        options: [
+          {
+            type: 7,
+            name: 'channel',
+            description: 'Text channel for the panel',
+            channel_types: [ChannelType.GuildText],
+            required: true
+          },
+          {
+            type: 4,
+            name: 'interval',
+            description: `Seconds between updates (min ${STATUS_MIN_INTERVAL_S}, default ${STATUS_DEFAULT_INTERVAL_S})`,
+            required: false,
+            min_value: STATUS_MIN_INTERVAL_S,
+            max_value: 3600
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'remove',
+        description: 'Stop updating the status panel'
+      }
+    ]
+  },
+  {
+    name: 'logtemplate',
+    description: 'Customize join/leave log messages',
+    options: [
+      {
+        type: 1,
+        name: 'set',
+        description: 'Change a log template (use \\n for new lines)',
+        options: [
+          TEMPLATE_TYPE_OPTION,
+          {
+            type: 3,
+            name: 'text',
+            description: 'Template text with {placeholders}',
+            required: false,
+            max_length: 2000
+          },
+          {
+            type: 3,
+            name: 'mode',
+            description: 'Plain text or embed',
+            required: false,
+            choices: [
+              { name: 'Plain text', value: 'text' },
+              { name: 'Embed', value: 'embed' }
+            ]
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'preview',
+        description: 'Preview a log template with sample data',
+        options: [TEMPLATE_TYPE_OPTION]
+      },
+      {
+        type: 1,
+        name: 'reset',
+        description: 'Restore the default template',
+        options: [TEMPLATE_TYPE_OPTION]
+      }
+    ]
+  },
+  {
+    name: 'myinvite',
+    description: 'Get your personal invite link; joins through it are always credited to you'
+  },
+  {
+    name: 'personalinvites',
+    description: 'Manage the personal invite links of members',
+    options: [
+      {
+        type: 1,
+        name: 'list',
+        description: 'List every personal invite and its owner'
+      },
+      {
+        type: 1,
+        name: 'create',
+        description: 'Create a personal invite for a member',
+        options: [
+          {
+            type: 6,
+            name: 'user',
+            description: 'Member who will own the invite',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'revoke',
+        description: 'Delete a member\'s personal invite',
+        options: [
+          {
+            type: 6,
+            name: 'user',
+            description: 'Current owner',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'reassign',
+        description: 'Give a member\'s personal invite to someone else',
+        options: [
+          {
+            type: 6,
+            name: 'user',
+            description: 'Current owner',
+            required: true
+          },
+          {
+            type: 6,
+            name: 'to',
+            description: 'New owner',
+            required: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'contest',
+    description: 'Run an invite contest with live standings and winners',
+    options: [
+      {
+        type: 1,
+        name: 'create',
+        description: 'Start a contest',
+        options: [
+          {
+            type: 3,
+            name: 'name',
+            description: 'Contest name',
+            required: true,
+            max_length: 100
+          },
+          {
+            type: 3,
+            name: 'duration',
+            description: 'How long it runs, e.g. 7d, 12h or 1d12h',
+            required: true
+          },
+          {
+            type: 7,
+            name: 'channel',
+            description: 'Channel for the live standings and the winner announcement',
+            channel_types: [ChannelType.GuildText],
+            required: true
+          },
+          {
+            type: 3,
+            name: 'mode',
+            description: 'What counts (default: total change)',
+            required: false,
+            choices: Object.entries(CONTEST_MODES).map(([value, name]) => ({ name, value }))
+          },
+          {
+            type: 4,
+            name: 'winners',
+            description: 'Number of winners (default 3)',
+            required: false,
+            min_value: 1,
+            max_value: MAX_WINNERS
+          },
+          {
+            type: 3,
+            name: 'prize',
+            description: 'Prize description shown with the standings',
+            required: false,
+            max_length: 200
+          },
+          {
+            type: 8,
+            name: 'prize_role',
+            description: 'Role given to every winner',
+            required: false
+          },
+          {
+            type: 5,
+            name: 'exclude_fakes',
+            description: 'Ignore fake joins instead of subtracting them (default: no)',
+            required: false
+          },
+          {
+            type: 5,
+            name: 'exclude_rejoins',
+            description: 'Leave rejoins out of the score (default: yes)',
+            required: false
+          },
+          {
+            type: 5,
+            name: 'exclude_bonus',
+            description: 'Leave bonus invites out of the score (default: no)',
+            required: false
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'end',
+        description: 'End the running contest now',
+        options: [
+          {
+            type: 5,
+            name: 'announce',
+            description: 'Announce the winners and give prize roles (default: yes)',
+            required: false
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'status',
+        description: 'Show the standings of the running (or last) contest'
+      }
+    ]
+  },
+  {
+    name: 'raidmode',
+    description: 'Stop crediting invites during a raid',
+    options: [
+      {
+        type: 1,
+        name: 'on',
+        description: 'Stop crediting any join until raid mode is turned off'
+      },
+      {
+        type: 1,
+        name: 'off',
+        description: 'Credit joins again'
+      },
+      {
+        type: 1,
+        name: 'status',
+        description: 'Show raid mode and the join-burst detection settings'
+      }
+    ]
+  },
+  {
+    name: 'config',
+    description: 'View or change the bot settings for this server',
+    default_member_permissions: (PermissionsBitField.Flags.ManageGuild).toString(),
+    options: [
+      {
+        type: 1,
+        name: 'view',
+        description: 'Show every setting and its current value'
+      },
+      {
+        type: 1,
+        name: 'set',
+        description: 'Change a setting',
+        options: [
+          CONFIG_KEY_OPTION,
+          {
+            type: 3,
+            name: 'value',
+            description: 'New value: a channel or role, true/false, a number, ...',
+            required: true,
+            autocomplete: true
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'reset',
+        description: 'Restore the default value of a setting',
+        options: [CONFIG_KEY_OPTION]
+      }
+    ]
+  }
+]);
+
+module.exports = {
+  STATUS_MIN_INTERVAL_S,
+  STATUS_DEFAULT_INTERVAL_S,
+  commands,
+};
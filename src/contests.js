@@ -0,0 +1,82 @@
+// Invite contests: durations, scoring and standings. Pure functions, the
+// scheduling and the announcements live in bot.js.
+//
+// A contest scores the change in each user's counters between its start and its
+// end. In 'snapshot' mode that is the current stats minus a copy taken at the
+// start, so staff corrections count too; in 'window' mode only the join, leave
+// and bonus events inside the contest window are added up.
+const { STAT_FIELDS } = require('./stats');
+const { DEFAULT_LANGUAGE, translator } = require('./i18n');
+
+const CONTEST_MODES = { snapshot: 'Total change (like /lb)', window: 'Only joins inside the contest' };
+const CONTEST_MIN_MS = 10 * 60_000;
+const CONTEST_MAX_MS = 90 * 86_400_000;
+const MAX_WINNERS = 10;
+
+const DEFAULT_CONTEST_RULES = {
+  excludeFakes: false,   // ignore fake joins instead of subtracting them
+  excludeRejoins: true,  // rejoins don't count, like on the leaderboard
+  excludeBonus: false,   // leave bonus invites out of the score
+};
+
+const DURATION_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 7 * 86_400_000 };
+
+// "3d", "12h", "1d 12h", "90m" -> milliseconds, or null
+function parseDuration(text) {
+  const compact = String(text ?? '').toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+[mhdw])+$/.test(compact)) return null;
+  return compact.match(/\d+[mhdw]/g).reduce((ms, p) => ms + Number(p.slice(0, -1)) * DURATION_UNITS[p.slice(-1)], 0);
+}
+
+// Per-field difference between two stats entries
+function statsDelta(now = {}, before = {}) {
+  const delta = {};
+  for (const field of STAT_FIELDS) {
+    delta[field] = (now[field] ?? 0) - (before[field] ?? 0);
+  }
+  return delta;
+}
+
+function contestScore(s, rules) {
+  let score = (s.joins ?? 0) - (s.leaves ?? 0);
+  if (!rules.excludeFakes) score -= s.fake ?? 0;
+  if (!rules.excludeRejoins) score += s.rejoins ?? 0;
+  if (!rules.excludeBonus) score += s.bonus ?? 0;
+  return score;
+}
+
+// Ranks users by score, best first. Users at zero or below are left out and
+// equal scores share a rank. `keep(userId)` filters contestants.
+function contestStandings(byUser, rules, keep = () => true) {
+  const rows = Object.entries(byUser)
+    .filter(([userId]) => keep(userId))
+    .map(([userId, s]) => ({ userId, score: contestScore(s, rules) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+  let rank = 0;
+  return rows.map((r, i) => {
+    if (i === 0 || r.score !== rows[i - 1].score) rank = i + 1;
+    return { ...r, rank };
+  });
+}
+
+function describeContestRules(rules, t = translator(DEFAULT_LANGUAGE)) {
+  return [
+    t(rules.excludeFakes ? 'contest.rules.fakesIgnored' : 'contest.rules.fakesSubtract'),
+    t(rules.excludeRejoins ? 'contest.rules.rejoinsIgnored' : 'contest.rules.rejoinsCount'),
+    t(rules.excludeBonus ? 'contest.rules.bonusIgnored' : 'contest.rules.bonusCounts'),
+  ].join(' · ');
+}
+
+module.exports = {
+  CONTEST_MODES,
+  CONTEST_MIN_MS,
+  CONTEST_MAX_MS,
+  MAX_WINNERS,
+  DEFAULT_CONTEST_RULES,
+  parseDuration,
+  statsDelta,
+  contestScore,
+  contestStandings,
+  describeContestRules,
+};
@@ -0,0 +1,27 @@
+// Health report of the gateway shards a client runs, for /health/shards.
+//
+// An unsharded process reports its single shard. Under the shard manager
+// (shard.js) every shard process is asked for its own report by file path, so
+// keep this module free of bot state.
+const { Status } = require('discord.js');
+
+function shardHealth(client) {
+  const memoryMb = Math.round(process.memoryUsage().rss / 1_048_576);
+  return [...client.ws.shards.values()].map((ws) => {
+    const guilds = client.guilds.cache.filter(g => g.shardId === ws.id);
+    return {
+      id: ws.id,
+      status: Status[ws.status] ?? String(ws.status),
+      ping_ms: ws.ping,
+      guilds: guilds.size,
+      unavailable_guilds: guilds.filter(g => !g.available).size,
+      members: guilds.reduce((n, g) => n + (g.memberCount ?? 0), 0),
+      ready: client.isReady(),
+      uptime_s: Math.floor(process.uptime()),
+      memory_mb: memoryMb,
+      pid: process.pid,
+    };
+  });
+}
+
+module.exports = { shardHealth };
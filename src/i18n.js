@@ -0,0 +1,92 @@
+// Translations of command replies, log messages and command descriptions.
+//
+// Bundles live in src/locales/<language>.json. Messages are looked up by a dotted
+// key ('invites.fields.joins') and `{name}` placeholders are filled from `vars`.
+// A key missing from a bundle falls back to English, then to `fallback` (for
+// text that lives in its own module, like the default log templates), then to
+// the key itself.
+//
+// Command descriptions are the exception: English stays in commands.js and the
+// other bundles translate them under `commands`, keyed by path ('config set key').
+// Options shared by several commands can be translated once under `commandOptions`.
+const BUNDLES = {
+  en: require('./locales/en.json'),
+  nl: require('./locales/nl.json'),
+};
+
+const LANGUAGES = Object.keys(BUNDLES);
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_NAMES = { en: 'English', nl: 'Nederlands' };
+
+// Discord locale of each bundle, for name_localizations / description_localizations
+const DISCORD_LOCALES = { nl: 'nl' };
+
+function lookup(lang, key) {
+  let node = BUNDLES[lang];
+  for (const part of key.split('.')) node = node?.[part];
+  return typeof node === 'string' ? node : undefined;
+}
+
+function translate(lang, key, vars = {}, fallback = key) {
+  const text = lookup(lang, key) ?? lookup(DEFAULT_LANGUAGE, key) ?? fallback;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (Object.hasOwn(vars, name) ? String(vars[name] ?? '') : m));
+}
+
+// t(key, vars, fallback) bound to one language; t.lang tells which
+function translator(lang) {
+  const t = (key, vars, fallback) => translate(lang, key, vars, fallback);
+  t.lang = lang;
+  return t;
+}
+
+// A Discord locale ('en-US', 'nl', ...) or language code to a bundle language, or null
+function languageOf(locale) {
+  const lang = String(locale ?? '').toLowerCase().split('-')[0];
+  return Object.hasOwn(BUNDLES, lang) ? lang : null;
+}
+
+// 1 -> '1st' / '1e'
+function ordinal(lang, n) {
+  if (lang === 'nl') return `${n}e`;
+  const rem100 = n % 100;
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`;
+  return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th');
+}
+
+// Copies the command definitions with the name, description and choice
+// translations of every non-English bundle added
+function localizeCommands(commands) {
+  const localize = (def, path) => {
+    const out = { ...def };
+    const names = {};
+    const descriptions = {};
+    const choiceNames = {};
+    for (const [lang, locale] of Object.entries(DISCORD_LOCALES)) {
+      const entry = BUNDLES[lang].commands?.[path.join(' ')]
+        ?? (path.length > 1 ? BUNDLES[lang].commandOptions?.[def.name] : undefined);
+      if (!entry) continue;
+      if (entry.name) names[locale] = entry.name;
+      if (entry.description) descriptions[locale] = entry.description;
+      for (const [value, name] of Object.entries(entry.choices ?? {})) (choiceNames[value] ??= {})[locale] = name;
+    }
+    if (Object.keys(names).length) out.name_localizations = names;
+    if (Object.keys(descriptions).length) out.description_localizations = descriptions;
+    if (def.choices) {
+      out.choices = def.choices.map(c => (choiceNames[c.value] ? { ...c, name_localizations: choiceNames[c.value] } : c));
+    }
+    if (def.options) out.options = def.options.map(o => localize(o, [...path, o.name]));
+    return out;
+  };
+  return commands.map(c => localize(c, [c.name]));
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  translate,
+  translator,
+  languageOf,
+  ordinal,
+  localizeCommands,
+};
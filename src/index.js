@@ -1,20 +1,25 @@
 require('dotenv').config();
 const {
   Client, GatewayIntentBits, Partials,
-  PermissionsBitField, ChannelType,
-  EmbedBuilder, REST, Routes
+  REST, Routes
 } = require('discord.js');
 const express = require('express');
 
-const {
-  ensureFiles, readJSON, writeJSON,
-  paths: { INVITE_CACHE_PATH, CONFIG_PATH, STATS_PATH, STATUS_PATH, MEMBERS_PATH }
-} = require('./storage');
+const { createStore } = require('./storage');
+const { createApiRouter, requireAdminToken } = require('./api');
+const { shardHealth } = require('./health');
+const { commands } = require('./commands');
+const { createBot } = require('./bot');
 
 // ---------- ENV ----------
 const TOKEN = process.env.DISCORD_TOKEN;
 const CLIENT_ID = process.env.CLIENT_ID;
 const GUILD_ID = process.env.GUILD_ID || null; // optional: faster guild command registration
+// COMMAND_SCOPE=guild registers the commands in every server separately, so they show up right away
+const PER_GUILD_COMMANDS = process.env.COMMAND_SCOPE === 'guild';
+// after the bot is removed from a server its invite data is archived (or purged) this many days later
+const CLEANUP_DAYS = Number(process.env.GUILD_CLEANUP_DAYS ?? 7);
+const CLEANUP_MODE = process.env.GUILD_CLEANUP_MODE === 'purge' ? 'purge' : 'archive';
 
 if (!TOKEN || !CLIENT_ID) {
   console.error('❌ Please set DISCORD_TOKEN and CLIENT_ID in your environment.');
@@ -22,6 +27,7 @@ if (!TOKEN || !CLIENT_ID) {
 }
 
 // ---------- CLIENT ----------
+// Started by shard.js, the client is one shard (client.shard is set); otherwise it is the only one
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
@@ -30,275 +36,21 @@ const client = new Client({
   ],
   partials: [Partials.GuildMember],
 });
+const SHARD_ID = client.shard ? client.shard.ids[0] : null;
 
-// ---------- CONSTANTS ----------
-const THEME = 0x8000ff; // #8000ff
-const UPTIME_CHANNEL_ID = '1429121620194234478'; // live status channel
-
-// ---------- RUNTIME STATE ----------
-let invitesCache = {};   // per guild: { code: {...} }
-let config = {};         // per guild: { [guildId]: logChannelId }
-let stats = {};          // per guild: { [userId]: { joins, leaves, bonus, lastInviteCode } }
-let statusStore = {};    // { channelId, messageId }
-let membersMap = {};     // per guild: { [memberId]: inviterId }
-let statusTimer = null;  // precise aligned timer
-let PROCESS_START_MS = Date.now(); // corrected on 'ready'
-
-// ---------- STORAGE HELPERS ----------
-function loadAll() {
-  invitesCache = readJSON(INVITE_CACHE_PATH);
-  config = readJSON(CONFIG_PATH);
-  stats = readJSON(STATS_PATH);
-  statusStore = readJSON(STATUS_PATH);
-  membersMap = readJSON(MEMBERS_PATH);
-  migrateOldStatsSchema();
-}
-function saveInvites(){ writeJSON(INVITE_CACHE_PATH, invitesCache); }
-function saveConfig(){ writeJSON(CONFIG_PATH, config); }
-function saveStats(){ writeJSON(STATS_PATH, stats); }
-function saveStatus(){ writeJSON(STATUS_PATH, statusStore); }
-function saveMembers(){ writeJSON(MEMBERS_PATH, membersMap); }
-
-// Migrate older { total } schema -> { joins, leaves, bonus }
-function migrateOldStatsSchema() {
-  let changed = false;
-  for (const [gid, byUser] of Object.entries(stats)) {
-    for (const [uid, s] of Object.entries(byUser)) {
-      if (s && typeof s === 'object' && s.total != null && s.joins == null) {
-        const total = Number(s.total) || 0;
-        stats[gid][uid] = {
-          joins: total,
-          leaves: 0,
-          bonus: 0,
-          lastInviteCode: s.lastInviteCode ?? null
-        };
-        changed = true;
-      } else {
-        stats[gid][uid] ??= {};
-        stats[gid][uid].joins ??= 0;
-        stats[gid][uid].leaves ??= 0;
-        stats[gid][uid].bonus ??= 0;
-        if (!('lastInviteCode' in stats[gid][uid])) stats[gid][uid].lastInviteCode = null;
-      }
-    }
-  }
-  if (changed) saveStats();
-}
-
-// ---------- UTILS ----------
-function getLogChannel(guild) {
-  const cfgId = config[guild.id];
-  if (cfgId) return guild.channels.cache.get(cfgId) ?? null;
-  return guild.channels.cache.find(
-    ch => ch.type === ChannelType.GuildText && ch.name.toLowerCase() === 'invite-logs'
-  ) ?? null;
-}
-
-async function fetchAndStoreInvites(guild) {
-  if (!guild.members.me.permissions.has(PermissionsBitField.Flags.ManageGuild)) return;
-  try {
-    const invites = await guild.invites.fetch();
-    if (!invitesCache[guild.id]) invitesCache[guild.id] = {};
-    for (const inv of invites.values()) {
-      invitesCache[guild.id][inv.code] = {
-        uses: inv.uses ?? 0,
-        inviterId: inv.inviter?.id ?? null,
-        channelId: inv.channelId ?? null,
-        maxUses: inv.maxUses ?? null,
-        createdTimestamp: inv.createdTimestamp ?? null,
-        expiresAt: inv.expiresAt ? inv.expiresAt.getTime() : null,
-      };
-    }
-    saveInvites();
-  } catch (e) {
-    console.warn(`[${guild.name}] Could not fetch invites: ${e.message}`);
-  }
-}
-
-async function getVanityUsesSafe(guild) {
-  try {
-    const v = await guild.fetchVanityData();
-    return v?.uses ?? 0;
-  } catch {
-    return null;
-  }
-}
-
-// ----- precise uptime helpers -----
-function formatUptimeSeconds(totalSeconds) {
-  const s = totalSeconds % 60;
-  const m = Math.floor(totalSeconds / 60) % 60;
-  const h = Math.floor(totalSeconds / 3600);
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${pad(h)}:${pad(m)}:${pad(s)}`;
-}
-function currentUptimeSeconds() {
-  return Math.max(0, Math.floor((Date.now() - PROCESS_START_MS) / 1000));
-}
-
-// ---------- STATUS EMBED ----------
-function buildStatusEmbed() {
-  const footerIcon = client.user.displayAvatarURL({ size: 64 });
-  return new EmbedBuilder()
-    .setColor(THEME)
-    .setTitle('🕒 Phantom Forge Invites Bot Status')
-    .setDescription('**Active:**\n✅ Online')
-    .addFields(
-      { name: 'Uptime', value: '`' + formatUptimeSeconds(currentUptimeSeconds()) + '`', inline: true },
-      { name: 'Ping', value: `${Math.max(0, Math.round(client.ws.ping))} ms`, inline: true },
-      { name: 'Last update', value: new Date().toLocaleString('en-US'), inline: false }
-    )
-    .setFooter({ text: 'Live updated every second | Phantom Forge', iconURL: footerIcon })
-    .setTimestamp();
-}
-
-async function ensureStatusMessage() {
-  const channel = await client.channels.fetch(UPTIME_CHANNEL_ID).catch(() => null);
-  if (!channel || channel.type !== ChannelType.GuildText) {
-    console.warn('⚠️ Uptime channel not found or not a text channel. ID:', UPTIME_CHANNEL_ID);
-    return null;
-  }
-  let msg = null;
-  if (statusStore.messageId) {
-    msg = await channel.messages.fetch(statusStore.messageId).catch(() => null);
-  }
-  if (!msg) {
-    msg = await channel.send({ embeds: [buildStatusEmbed()] });
-    statusStore = { channelId: channel.id, messageId: msg.id };
-    saveStatus();
-  } else {
-    await msg.edit({ embeds: [buildStatusEmbed()] });
-  }
-  return { channel, msg };
-}
-
-// aligned 1-second updates without drift
-function startStatusUpdater() {
-  if (statusTimer) clearTimeout(statusTimer);
-
-  const tick = async () => {
-    try {
-      if (!statusStore.channelId || !statusStore.messageId) {
-        await ensureStatusMessage();
-      } else {
-        const channel = await client.channels.fetch(statusStore.channelId).catch(() => null);
-        const msg = channel ? await channel.messages.fetch(statusStore.messageId).catch(() => null) : null;
-        if (!msg) {
-          await ensureStatusMessage();
-        } else {
-          await msg.edit({ embeds: [buildStatusEmbed()] });
-        }
-      }
-    } catch { /* ignore transient errors */ }
-
-    // align next run to system second boundary
-    const now = Date.now();
-    const delay = 1000 - (now % 1000) + 5; // +5ms cushion
-    statusTimer = setTimeout(tick, delay);
-  };
-
-  tick();
-}
-
-function computeTotal(s) {
-  const joins = s?.joins ?? 0;
-  const leaves = s?.leaves ?? 0;
-  const bonus = s?.bonus ?? 0;
-  return joins - leaves + bonus;
-}
-
-// Presence helper — Watching (server name)
-async function setWatchingPresence() {
-  try {
-    const ch = await client.channels.fetch(UPTIME_CHANNEL_ID).catch(() => null);
-    const guildName = ch?.guild?.name || 'server invites';
-    await client.user.setActivity(guildName, { type: 3 }); // 3 = Watching
-  } catch {
-    client.user.setActivity('server invites', { type: 3 });
-  }
-}
+// ---------- STORAGE ----------
+// STORAGE_BACKEND=json (default, data/*.json) or sqlite (SQLITE_PATH, default data/invites.db).
+// A shard only loads and saves the servers it serves.
+const store = createStore({ shard: client.shard ? { id: SHARD_ID, count: client.shard.count } : null });
 
 // ---------- SLASH COMMANDS ----------
-const commands = [
-  {
-    name: 'setinvitelog',
-    description: 'Set the channel for invite logs',
-    default_member_permissions: (PermissionsBitField.Flags.ManageGuild).toString(),
-    options: [
-      {
-        type: 7,
-        name: 'channel',
-        description: 'Text channel for logs',
-        channel_types: [ChannelType.GuildText],
-        required: true
-      }
-    ]
-  },
-  {
-    name: 'invites',
-    description: 'Show invite stats (no user = yourself)',
-    options: [
-      {
-        type: 6,
-        name: 'user',
-        description: 'Optional: choose a user',
-        required: false
-      }
-    ]
-  },
-  {
-    name: 'avatar',
-    description: 'Show the avatar of a user (no user = yourself)',
-    options: [
-      {
-        type: 6,
-        name: 'user',
-        description: 'Optional: choose a user',
-        required: false
-      }
-    ]
-  },
-  {
-    name: 'lb',
-    description: 'Leaderboard: most invites (optional amount)',
-    options: [
-      {
-        type: 4,
-        name: 'amount',
-        description: 'How many positions (3–25, default 10)',
-        required: false,
-        min_value: 3,
-        max_value: 25
-      }
-    ]
-  },
-  {
-    name: 'bonus',
-    description: 'Add or subtract bonus invites for a user',
-    default_member_permissions: (PermissionsBitField.Flags.ManageGuild).toString(),
-    options: [
-      {
-        type: 6,
-        name: 'user',
-        description: 'User to modify',
-        required: true
-      },
-      {
-        type: 4,
-        name: 'amount',
-        description: 'Amount to add (use negative to subtract)',
-        required: true
-      }
-    ]
-  }
-];
-
-async function registerSlashCommands() {
+// Globally, or in one server when a guild id is given
+async function registerSlashCommands(guildId = null) {
   const rest = new REST({ version: '10' }).setToken(TOKEN);
   try {
-    if (GUILD_ID) {
-      await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: commands });
-      console.log(`✅ Slash commands registered in guild ${GUILD_ID}`);
+    if (guildId) {
+      await rest.put(Routes.applicationGuildCommands(CLIENT_ID, guildId), { body: commands });
+      console.log(`✅ Slash commands registered in guild ${guildId}`);
     } else {
       await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
       console.log('✅ Global slash commands registered (may take up to 1 hour to appear)');
@@ -308,258 +60,31 @@ async function registerSlashCommands() {
   }
 }
 
-// ---------- READY ----------
-client.once('ready', async () => {
-  console.log(`🤖 Logged in as ${client.user.tag}`);
-  await ensureFiles();
-  loadAll();
-
-  // Correct process start to match current process.uptime()
-  PROCESS_START_MS = Date.now() - Math.floor(process.uptime() * 1000);
-
-  await registerSlashCommands();
-
-  // Cosmetic: set username (rate-limited)
-  try {
-    if (client.user.username !== 'Phantom forge Invites') {
-      await client.user.setUsername('Phantom forge Invites');
-      console.log('✅ Bot name set to "Phantom forge Invites"');
-    }
-  } catch (e) {
-    console.warn('⚠️ Could not change bot name (rate limits/permissions):', e.message);
-  }
-
-  // Init invite cache
-  for (const g of client.guilds.cache.values()) {
-    await fetchAndStoreInvites(g);
-  }
-
-  // Start live status
-  await ensureStatusMessage();
-  startStatusUpdater();
-
-  // Presence: Watching (server name)
-  await setWatchingPresence();
-});
-
-client.on('guildCreate', async (guild) => {
-  await fetchAndStoreInvites(guild);
-  if (GUILD_ID && guild.id === GUILD_ID) await registerSlashCommands();
-  await setWatchingPresence();
-});
-
-client.on('guildDelete', setWatchingPresence);
-
-// ---------- EVENTS ----------
-client.on('inviteCreate', async (invite) => {
-  const g = invite.guild;
-  if (!invitesCache[g.id]) invitesCache[g.id] = {};
-  invitesCache[g.id][invite.code] = {
-    uses: invite.uses ?? 0,
-    inviterId: invite.inviter?.id ?? null,
-    channelId: invite.channelId ?? null,
-    maxUses: invite.maxUses ?? null,
-    createdTimestamp: invite.createdTimestamp ?? null,
-    expiresAt: invite.expiresAt ? invite.expiresAt.getTime() : null,
-  };
-  saveInvites();
-});
-
-client.on('inviteDelete', async (invite) => {
-  const g = invite.guild;
-  if (invitesCache[g.id]) {
-    delete invitesCache[g.id][invite.code];
-    saveInvites();
-  }
-});
-
-// ---------- MEMBER ADD ----------
-client.on('guildMemberAdd', async (member) => {
-  const guild = member.guild;
-
-  const beforeVanity = await getVanityUsesSafe(guild);
-  const before = invitesCache[guild.id] ? new Map(Object.entries(invitesCache[guild.id])) : new Map();
-
-  await fetchAndStoreInvites(guild);
-  const after = invitesCache[guild.id] ? new Map(Object.entries(invitesCache[guild.id])) : new Map();
-
-  let usedInvite = null;
-  for (const [code, a] of after.entries()) {
-    const b = before.get(code);
-    if ((a.uses ?? 0) > (b?.uses ?? 0)) {
-      usedInvite = { code, ...a };
-      break;
-    }
-  }
-
-  let usedVanity = false;
-  if (!usedInvite && beforeVanity !== null) {
-    const afterVanity = await getVanityUsesSafe(guild);
-    if (afterVanity !== null && afterVanity > beforeVanity) usedVanity = true;
-  }
-
-  // Update stats & remember inviter for this member
-  if (!stats[guild.id]) stats[guild.id] = {};
-  if (!membersMap[guild.id]) membersMap[guild.id] = {};
-
-  const inviterId = usedInvite?.inviterId || null;
-  if (inviterId) {
-    stats[guild.id][inviterId] ??= { joins: 0, leaves: 0, bonus: 0, lastInviteCode: null };
-    stats[guild.id][inviterId].joins += 1;
-    stats[guild.id][inviterId].lastInviteCode = usedInvite.code;
-    membersMap[guild.id][member.id] = inviterId;
-    saveStats();
-    saveMembers();
-  }
-
-  // ------- LOG MESSAGE (styled like your screenshot) -------
-  const logCh = getLogChannel(guild);
-  if (logCh && logCh.permissionsFor(guild.members.me)?.has(PermissionsBitField.Flags.SendMessages)) {
-    let sourceLabel = 'OAuth flow';
-    let byText = '`unknown`';
-    if (usedInvite) {
-      sourceLabel = 'Invite';
-      byText = inviterId ? `<@${inviterId}> (\`${usedInvite.code}\`)` : '`unknown`';
-    } else if (usedVanity) {
-      sourceLabel = 'Vanity URL';
-      byText = '`unknown`';
-    }
-    const createdSec = Math.floor(member.user.createdTimestamp / 1000);
-    const message =
-      `Welcome **${member.user.tag}** !\n` +
-      `Created <t:${createdSec}:R>\n` +
-      `They were invited by \`${sourceLabel}\` (${byText})\n` +
-      `\`${guild.name}\` now has \`${guild.memberCount}\` members`;
-    logCh.send({ content: message }).catch(() => {});
-  }
-});
-
-// ---------- MEMBER REMOVE ----------
-client.on('guildMemberRemove', async (member) => {
-  const guildId = member.guild.id;
-  const gMap = membersMap[guildId] || {};
-  const inviterId = gMap[member.id];
-  if (!inviterId) return;
-  stats[guildId] ??= {};
-  stats[guildId][inviterId] ??= { joins: 0, leaves: 0, bonus: 0, lastInviteCode: null };
-  stats[guildId][inviterId].leaves += 1;
-  saveStats();
-  // Optionally: delete membersMap[guildId][member.id]; saveMembers();
-});
-
-// ---------- INTERACTIONS ----------
-client.on('interactionCreate', async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
-
-  if (interaction.commandName === 'setinvitelog') {
-    const ch = interaction.options.getChannel('channel', true);
-    if (ch.type !== ChannelType.GuildText) {
-      return interaction.reply({ content: 'Please select a **text channel**.', ephemeral: true });
-    }
-    if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
-      return interaction.reply({ content: 'You need **Manage Server** permission to use this command.', ephemeral: true });
-    }
-    config[interaction.guildId] = ch.id;
-    saveConfig();
-    return interaction.reply({ content: `✅ Invite logs channel set to ${ch}.`, ephemeral: true });
-  }
-
-  if (interaction.commandName === 'invites') {
-    const user = interaction.options.getUser('user') ?? interaction.user;
-    const s = stats[interaction.guildId]?.[user.id] ?? { joins: 0, leaves: 0, bonus: 0 };
-    const total = computeTotal(s);
-
-    const embed = new EmbedBuilder()
-      .setColor(THEME)
-      .setAuthor({ name: `${user.tag}`, iconURL: user.displayAvatarURL() })
-      .setDescription(`**${total} Invites**`)
-      .addFields(
-        { name: '🟩 Joins', value: `**${s.joins}**`, inline: true },
-        { name: '🟥 Leaves', value: `**${s.leaves}**`, inline: true },
-        { name: '✨ Bonus', value: `**${s.bonus}**`, inline: true }
-      )
-      .setTimestamp();
-
-    return interaction.reply({ embeds: [embed] });
-  }
-
-  if (interaction.commandName === 'avatar') {
-    const user = interaction.options.getUser('user') ?? interaction.user;
-    const url = user.displayAvatarURL({ size: 1024, extension: 'png', forceStatic: false });
-
-    const embed = new EmbedBuilder()
-      .setColor(THEME)
-      .setAuthor({ name: `${user.tag}`, iconURL: user.displayAvatarURL() })
-      .setTitle('Avatar')
-      .setImage(url)
-      .setFooter({ text: `User ID: ${user.id}` })
-      .setTimestamp();
-
-    return interaction.reply({ embeds: [embed] });
-  }
-
-  if (interaction.commandName === 'lb') {
-    const amount = interaction.options.getInteger('amount') ?? 10;
-    const g = stats[interaction.guildId] || {};
-    const entries = Object.entries(g);
-    if (entries.length === 0) {
-      return interaction.reply({ content: 'No invite statistics available yet.', ephemeral: true });
-    }
-
-    const top = entries
-      .map(([uid, s]) => [uid, computeTotal(s)])
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, amount);
-
-    const lines = top.map(([uid, total], i) => {
-      const place = i + 1;
-      const medal = place === 1 ? '🥇' : place === 2 ? '🥈' : place === 3 ? '🥉' : `#${place}`;
-      return `${medal} <@${uid}> — **${total}** invites`;
-    });
-
-    const embed = new EmbedBuilder()
-      .setColor(THEME)
-      .setTitle('🏆 Invite Leaderboard')
-      .setDescription(lines.join('\n'))
-      .setTimestamp();
-
-    return interaction.reply({ embeds: [embed] });
-  }
-
-  if (interaction.commandName === 'bonus') {
-    if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
-      return interaction.reply({ content: 'You need **Manage Server** permission to use this command.', ephemeral: true });
-    }
-    const user = interaction.options.getUser('user', true);
-    const amount = interaction.options.getInteger('amount', true);
-    stats[interaction.guildId] ??= {};
-    stats[interaction.guildId][user.id] ??= { joins: 0, leaves: 0, bonus: 0, lastInviteCode: null };
-    stats[interaction.guildId][user.id].bonus += amount;
-    saveStats();
-
-    const s = stats[interaction.guildId][user.id];
-    const total = computeTotal(s);
-
-    const embed = new EmbedBuilder()
-      .setColor(THEME)
-      .setTitle('Bonus Updated')
-      .setDescription(`Updated bonus for ${user}: **${amount > 0 ? `+${amount}` : amount}**`)
-      .addFields(
-        { name: '🟩 Joins', value: `**${s.joins}**`, inline: true },
-        { name: '🟥 Leaves', value: `**${s.leaves}**`, inline: true },
-        { name: '✨ Bonus', value: `**${s.bonus}**`, inline: true },
-        { name: 'Total', value: `**${total}**`, inline: false }
-      )
-      .setTimestamp();
-
-    return interaction.reply({ embeds: [embed], ephemeral: true });
-  }
+// ---------- BOT ----------
+// Event and command handling lives in bot.js; this file only wires it up.
+const bot = createBot({
+  client,
+  store,
+  registerCommands: registerSlashCommands,
+  commandGuildId: GUILD_ID,
+  perGuildCommands: PER_GUILD_COMMANDS,
+  guildCleanup: { graceMs: CLEANUP_DAYS * 86_400_000, mode: CLEANUP_MODE },
 });
 
 // ---------- LOGIN ----------
 client.login(TOKEN);
 
+// Flush batched writes before Render (or Ctrl+C) stops the process
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    store.close();
+    process.exit(0);
+  });
+}
+
 // ---------- EXPRESS KEEP-ALIVE (Render Free) ----------
+// A shard's server only listens on localhost: shard.js serves the public port
+// and forwards API calls to the shard of the guild.
 const app = express();
 
 // Basic homepage
@@ -567,11 +92,15 @@ app.get('/', (_req, res) => {
   res.send('✅ Phantom Forge Invites bot is online and running!');
 });
 
+// Authenticated JSON API: /api/v1/guilds/:guildId/{stats/:userId,leaderboard,invites,history,config,export,import}
+app.use('/api/v1', createApiRouter(bot.apiContext));
+
 // Proper health endpoint for uptime/monitoring
 app.get('/health', (_req, res) => {
   res.status(200).json({
     ok: true,
     service: 'phantom-forge-invites',
+    shard: SHARD_ID,
     uptime_s: Math.floor(process.uptime()),
     timestamp: Date.now()
   });
@@ -580,5 +109,13 @@ app.get('/health', (_req, res) => {
 // Optional: respond to HEAD for lightweight checks
 app.head('/health', (_req, res) => res.status(200).end());
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🌐 Web server running on port ${PORT}`));
+// Gateway status per shard, for operators (Authorization: Bearer <ADMIN_TOKEN>)
+app.get('/health/shards', requireAdminToken(), (_req, res) => res.json({ shards: shardHealth(client) }));
+
+if (client.shard) {
+  const port = Number(process.env.SHARD_PORT_BASE) + SHARD_ID;
+  app.listen(port, '127.0.0.1', () => console.log(`🌐 Shard ${SHARD_ID} web server on 127.0.0.1:${port}`));
+} else {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => console.log(`🌐 Web server running on port ${PORT}`));
+}
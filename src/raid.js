@@ -0,0 +1,51 @@
+// Join-burst detection per invite code. Pure functions, the alerting and the
+// invite actions live in bot.js.
+//
+// Every invite join is added to its code's recent-joins window. A burst is
+// flagged when the window holds too many joins, or too many young accounts.
+const { DEFAULT_LANGUAGE, translator } = require('./i18n');
+
+const DEFAULT_RAID_RULES = {
+  joins: 15,            // joins through one code within the window (0 = off)
+  windowSeconds: 60,
+  youngSharePct: 0,     // share of young accounts in the window (0 = off)
+  youngAccountDays: 7,  // what counts as young for youngSharePct
+  action: 'none',       // 'none' | 'delete' the invite | 'pause' all invites
+  holdCredit: false,    // credit the burst's joins to the `raid` pseudo-inviter
+  alertRoleId: null,    // role pinged with the alert
+};
+
+const RAID_ACTIONS = ['none', 'delete', 'pause'];
+
+// The young-account share is only judged once the window has this many joins
+const MIN_YOUNG_SAMPLE = 5;
+
+// Adds a join to the window and drops joins older than the window
+function trackJoin(window, join, rules) {
+  window.push(join);
+  const cutoff = join.at - rules.windowSeconds * 1000;
+  while (window.length && window[0].at <= cutoff) window.shift();
+}
+
+// Why the window looks like a raid (in the language of `t`), or null when it doesn't
+function burstReason(window, rules, t = translator(DEFAULT_LANGUAGE)) {
+  if (rules.joins > 0 && window.length >= rules.joins) {
+    return t('raid.reasons.joins', { joins: window.length, seconds: rules.windowSeconds });
+  }
+  if (rules.youngSharePct > 0 && window.length >= MIN_YOUNG_SAMPLE) {
+    const young = window.filter(j => j.young).length;
+    const pct = Math.round((young / window.length) * 100);
+    if (pct >= rules.youngSharePct) {
+      return t('raid.reasons.young', { young, joins: window.length, seconds: rules.windowSeconds, days: rules.youngAccountDays });
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_RAID_RULES,
+  RAID_ACTIONS,
+  MIN_YOUNG_SAMPLE,
+  trackJoin,
+  burstReason,
+};
@@ -0,0 +1,101 @@
+// The referral tree: who invited whom, read from join history. Pure functions,
+// used by /invitetree and the indirect (second-level) credit.
+
+const MAX_TREE_DEPTH = 5;
+
+// Members each inviter brought in, keyed by inviter id. Left members stay in the
+// tree (active: false); members tracked before join history existed only have a
+// membersMap entry and are still present.
+function buildReferralIndex(membersMap = {}, history = {}) {
+  const children = new Map();
+  const add = (inviterId, node) => {
+    if (!children.has(inviterId)) children.set(inviterId, []);
+    children.get(inviterId).push(node);
+  };
+  for (const [memberId, entry] of Object.entries(history)) {
+    if (!entry.inviterId) continue;
+    add(entry.inviterId, {
+      memberId,
+      active: !entry.leftAt,
+      credited: Boolean(entry.credited),
+      joinedAt: entry.lastJoinAt ?? null,
+    });
+  }
+  for (const [memberId, inviterId] of Object.entries(membersMap)) {
+    if (history[memberId] || !inviterId) continue;
+    add(inviterId, { memberId, active: true, credited: true, joinedAt: null });
+  }
+  return children;
+}
+
+// Walks down from `rootId` level by level. Returns [{ depth, nodes, active, left }];
+// each node carries its parentId. A member is only listed once, so a history
+// where two members invited each other can't loop.
+function referralLevels(children, rootId, maxDepth = MAX_TREE_DEPTH) {
+  const seen = new Set([rootId]);
+  const levels = [];
+  let frontier = [rootId];
+  for (let depth = 1; depth <= maxDepth && frontier.length; depth++) {
+    const nodes = [];
+    for (const parentId of frontier) {
+      for (const child of children.get(parentId) ?? []) {
+        if (seen.has(child.memberId)) continue;
+        seen.add(child.memberId);
+        nodes.push({ ...child, parentId, depth });
+      }
+    }
+    if (nodes.length === 0) break;
+    const active = nodes.filter(n => n.active).length;
+    levels.push({ depth, nodes, active, left: nodes.length - active });
+    frontier = nodes.map(n => n.memberId);
+  }
+  return levels;
+}
+
+// The nodes of `levels` in tree order: every member followed by its own invitees
+function flattenLevels(rootId, levels) {
+  const byParent = new Map();
+  for (const level of levels) {
+    for (const node of level.nodes) {
+      if (!byParent.has(node.parentId)) byParent.set(node.parentId, []);
+      byParent.get(node.parentId).push(node);
+    }
+  }
+  const out = [];
+  const visit = (id) => {
+    for (const node of byParent.get(id) ?? []) {
+      out.push(node);
+      visit(node.memberId);
+    }
+  };
+  visit(rootId);
+  return out;
+}
+
+// Second-level credit: `pct` percent of each credited, still-present member that
+// someone you invited brought in. Only joins inside `period` ({ from, to, all })
+// count; members without a join time only count for all time.
+// Returns { [userId]: credit } rounded to two decimals.
+function indirectCredits(children, pct, period = { all: true }) {
+  const out = {};
+  if (!(pct > 0)) return out;
+  const inPeriod = (at) => period.all || (at !== null && at >= period.from && at < period.to);
+  for (const [inviterId, direct] of children) {
+    let count = 0;
+    for (const member of direct) {
+      for (const second of children.get(member.memberId) ?? []) {
+        if (second.credited && second.memberId !== inviterId && inPeriod(second.joinedAt)) count++;
+      }
+    }
+    if (count > 0) out[inviterId] = Math.round(count * pct) / 100;
+  }
+  return out;
+}
+
+module.exports = {
+  MAX_TREE_DEPTH,
+  buildReferralIndex,
+  referralLevels,
+  flattenLevels,
+  indirectCredits,
+};
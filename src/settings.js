@@ -0,0 +1,248 @@
+// Per-guild settings: the keys `/config` can view, set and reset.
+// Every guild has one plain settings object (see the 'settings' collection); each
+// key below maps to a path inside it, so `/config` and the dedicated commands
+// (/fakerules, /rewards, /logtemplate, ...) read and write the same values.
+const { ChannelType } = require('discord.js');
+const { TEMPLATE_TYPES, TEMPLATE_LABELS, DEFAULT_TEMPLATES } = require('./templates');
+const { DEFAULT_RAID_RULES, RAID_ACTIONS } = require('./raid');
+const { LANGUAGES, DEFAULT_LANGUAGE, translator } = require('./i18n');
+
+const DEFAULT_FAKE_RULES = {
+  minAccountAgeDays: 0,  // 0 = disabled; admins opt in with /fakerules
+  defaultAvatar: false,  // flag accounts without a custom avatar
+  namePattern: null,     // optional regex (case-insensitive) on username / display name
+  leaveWithinHours: 0,   // leaving this soon after joining turns the join into a fake (0 = disabled)
+};
+
+const MAX_IGNORED_CHANNELS = 25;
+
+// type: channel (text channel) | channels (any kind) | role | boolean | integer | regex | choice
+const CONFIG_KEYS = {
+  'language': {
+    type: 'choice', choices: ['auto', ...LANGUAGES], path: ['language'], default: 'auto',
+    description: 'Language of log messages and announcements; auto follows the server\'s language',
+  },
+  'logs.channel': {
+    type: 'channel', path: ['logChannels', 'default'], default: null,
+    description: 'Channel for join and leave logs',
+  },
+  'logs.joinChannel': {
+    type: 'channel', path: ['logChannels', 'join'], default: null,
+    description: 'Separate channel for join logs',
+  },
+  'logs.leaveChannel': {
+    type: 'channel', path: ['logChannels', 'leave'], default: null,
+    description: 'Separate channel for leave logs',
+  },
+  'logs.fallbackByName': {
+    type: 'boolean', path: ['logChannels', 'fallbackByName'], default: true,
+    description: 'Log to a channel named #invite-logs when no log channel is set',
+  },
+  'myinvite.channel': {
+    type: 'channel', path: ['personalInviteChannel'], default: null,
+    description: 'Channel the personal invites of /myinvite point to',
+  },
+  'staffRole': {
+    type: 'role', path: ['staffRoleId'], default: null,
+    description: 'Role that can use the staff commands without Manage Server',
+  },
+  'ignoredChannels': {
+    type: 'channels', path: ['ignoredChannels'], default: [],
+    description: 'Invites into these channels credit nobody (joins count as unknown)',
+  },
+  'fake.minAccountAgeDays': {
+    type: 'integer', min: 0, max: 365, path: ['fake', 'minAccountAgeDays'], default: DEFAULT_FAKE_RULES.minAccountAgeDays,
+    description: 'Accounts younger than this many days count as fake (0 = off)',
+  },
+  'fake.defaultAvatar': {
+    type: 'boolean', path: ['fake', 'defaultAvatar'], default: DEFAULT_FAKE_RULES.defaultAvatar,
+    description: 'Accounts without a custom avatar count as fake',
+  },
+  'fake.namePattern': {
+    type: 'regex', path: ['fake', 'namePattern'], default: DEFAULT_FAKE_RULES.namePattern,
+    description: 'Usernames matching this regex count as fake',
+  },
+  'fake.leaveWithinHours': {
+    type: 'integer', min: 0, max: 720, path: ['fake', 'leaveWithinHours'], default: DEFAULT_FAKE_RULES.leaveWithinHours,
+    description: 'Leaving within N hours makes the join a fake, costing 1 extra (0 = off)',
+  },
+  'raid.joins': {
+    type: 'integer', min: 0, max: 500, path: ['raid', 'joins'], default: DEFAULT_RAID_RULES.joins,
+    description: 'Joins through one invite within raid.windowSeconds that raise a raid alert (0 = off)',
+  },
+  'raid.windowSeconds': {
+    type: 'integer', min: 10, max: 3600, path: ['raid', 'windowSeconds'], default: DEFAULT_RAID_RULES.windowSeconds,
+    description: 'Time window for the raid thresholds',
+  },
+  'raid.youngSharePct': {
+    type: 'integer', min: 0, max: 100, path: ['raid', 'youngSharePct'], default: DEFAULT_RAID_RULES.youngSharePct,
+    description: 'Percentage of young accounts in the window that raises a raid alert (0 = off)',
+  },
+  'raid.youngAccountDays': {
+    type: 'integer', min: 1, max: 365, path: ['raid', 'youngAccountDays'], default: DEFAULT_RAID_RULES.youngAccountDays,
+    description: 'Accounts younger than this many days count as young for raid.youngSharePct',
+  },
+  'raid.alertRole': {
+    type: 'role', path: ['raid', 'alertRoleId'], default: DEFAULT_RAID_RULES.alertRoleId,
+    description: 'Role pinged with raid alerts',
+  },
+  'raid.action': {
+    type: 'choice', choices: RAID_ACTIONS, path: ['raid', 'action'], default: DEFAULT_RAID_RULES.action,
+    description: 'On a raid: none, delete the invite, or pause all invites',
+  },
+  'raid.holdCredit': {
+    type: 'boolean', path: ['raid', 'holdCredit'], default: DEFAULT_RAID_RULES.holdCredit,
+    description: 'Stop crediting the inviter for joins in a raid burst',
+  },
+  'credit.indirectPct': {
+    type: 'integer', min: 0, max: 100, path: ['indirectCreditPct'], default: 0,
+    description: 'Percent of each join credited to the inviter\'s own inviter as indirect invites (0 = off)',
+  },
+  'rewards.stack': {
+    type: 'boolean', path: ['rewards', 'stack'], default: true,
+    description: 'Keep every reached reward role instead of only the highest',
+  },
+};
+
+for (const type of TEMPLATE_TYPES) {
+  CONFIG_KEYS[`templates.${type}.mode`] = {
+    type: 'choice', choices: ['text', 'embed'], path: ['templates', type, 'mode'], default: DEFAULT_TEMPLATES[type].mode,
+    description: `${TEMPLATE_LABELS[type]} log style: plain text or embed`,
+  };
+}
+
+const EN = translator(DEFAULT_LANGUAGE);
+
+const TRUE_WORDS = ['true', 'yes', 'on', 'enable', 'enabled', '1'];
+const FALSE_WORDS = ['false', 'no', 'off', 'disable', 'disabled', '0'];
+
+function readConfig(guildSettings, key) {
+  const def = CONFIG_KEYS[key];
+  let node = guildSettings;
+  for (const part of def.path) node = node?.[part];
+  return node ?? def.default;
+}
+
+function writeConfig(guildSettings, key, value) {
+  const { path } = CONFIG_KEYS[key];
+  let node = guildSettings;
+  for (const part of path.slice(0, -1)) node = node[part] ??= {};
+  node[path[path.length - 1]] = value;
+}
+
+// Removes the stored value so the default applies again
+function clearConfig(guildSettings, key) {
+  const { path } = CONFIG_KEYS[key];
+  let node = guildSettings;
+  for (const part of path.slice(0, -1)) {
+    node = node?.[part];
+    if (!node) return;
+  }
+  delete node[path[path.length - 1]];
+}
+
+function channelIdOf(text) {
+  return text.match(/^(?:<#(\d{17,20})>|(\d{17,20}))$/)?.slice(1).find(Boolean) ?? null;
+}
+
+// Turns the text typed into `/config set` into a stored value.
+// Returns { value } or { error }; channels and roles must exist in `guild`.
+// `t` translates the error messages.
+function parseConfigValue(key, raw, guild, t = EN) {
+  const def = CONFIG_KEYS[key];
+  if (!def) return { error: t('config.errors.unknownKey', { key }) };
+  const text = String(raw ?? '').trim();
+
+  switch (def.type) {
+    case 'boolean': {
+      const word = text.toLowerCase();
+      if (TRUE_WORDS.includes(word)) return { value: true };
+      if (FALSE_WORDS.includes(word)) return { value: false };
+      return { error: t('config.errors.boolean') };
+    }
+    case 'integer': {
+      if (!/^-?\d+$/.test(text)) return { error: t('config.errors.integer') };
+      const value = Number(text);
+      if (value < def.min || value > def.max) return { error: t('config.errors.range', { min: def.min, max: def.max }) };
+      return { value };
+    }
+    case 'regex': {
+      if (['off', 'none', ''].includes(text.toLowerCase())) return { value: null };
+      try {
+        new RegExp(text, 'i');
+      } catch (e) {
+        return { error: t('config.errors.pattern', { error: e.message }) };
+      }
+      return { value: text };
+    }
+    case 'choice': {
+      const value = text.toLowerCase();
+      if (!def.choices.includes(value)) return { error: t('config.errors.choice', { choices: def.choices.map(c => `**${c}**`).join(', ') }) };
+      return { value };
+    }
+    case 'role': {
+      const id = text.match(/^(?:<@&(\d{17,20})>|(\d{17,20}))$/)?.slice(1).find(Boolean);
+      const role = id ? guild.roles.cache.get(id) : null;
+      if (!role) return { error: t('config.errors.role') };
+      if (role.id === guild.id) return { error: t('config.errors.everyone') };
+      return { value: role.id };
+    }
+    case 'channel': {
+      const id = channelIdOf(text);
+      const channel = id ? guild.channels.cache.get(id) : null;
+      if (!channel) return { error: t('config.errors.channel') };
+      if (channel.type !== ChannelType.GuildText) return { error: t('config.errors.textChannel') };
+      return { value: id };
+    }
+    case 'channels': {
+      const parts = text.split(/[\s,]+/).filter(Boolean);
+      if (parts.length === 0) return { error: t('config.errors.channels') };
+      const ids = [];
+      for (const part of parts) {
+        const id = channelIdOf(part);
+        if (!id || !guild.channels.cache.has(id)) return { error: t('config.errors.notChannel', { value: part }) };
+        if (!ids.includes(id)) ids.push(id);
+      }
+      if (ids.length > MAX_IGNORED_CHANNELS) return { error: t('config.errors.tooManyChannels', { max: MAX_IGNORED_CHANNELS }) };
+      return { value: ids };
+    }
+    default:
+      return { error: t('config.errors.type', { type: def.type }) };
+  }
+}
+
+function formatConfigValue(key, value, t = EN) {
+  const { type } = CONFIG_KEYS[key];
+  if (value === null || value === undefined) return `\`${t('config.values.notSet')}\``;
+  if (type === 'boolean') return `\`${t(value ? 'config.values.on' : 'config.values.off')}\``;
+  if (type === 'channel') return `<#${value}>`;
+  if (type === 'role') return `<@&${value}>`;
+  if (type === 'channels') return value.length ? value.map(id => `<#${id}>`).join(' ') : `\`${t('config.values.none')}\``;
+  return `\`${value}\``;
+}
+
+// Older versions stored the log channel as a bare id string per guild in the
+// 'config' collection. Moves those into settings; returns how many moved.
+function migrateLegacyConfig(config, settings) {
+  let moved = 0;
+  for (const [guildId, value] of Object.entries(config)) {
+    if (typeof value !== 'string') continue;
+    settings[guildId] ??= {};
+    settings[guildId].logChannels ??= {};
+    settings[guildId].logChannels.default ??= value;
+    delete config[guildId];
+    moved++;
+  }
+  return moved;
+}
+
+module.exports = {
+  CONFIG_KEYS,
+  DEFAULT_FAKE_RULES,
+  readConfig,
+  writeConfig,
+  clearConfig,
+  parseConfigValue,
+  formatConfigValue,
+  migrateLegacyConfig,
+};
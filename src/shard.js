@@ -0,0 +1,105 @@
+// Runs the bot as several gateway shards, one process each (npm run start:sharded).
+//
+// Every shard is a normal index.js process that only loads and saves the
+// servers it serves. This process owns the public web server: it answers
+// /health itself, collects /health/shards from every shard and forwards
+// /api/v1/guilds/:guildId/... to the shard of that server.
+require('dotenv').config();
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const { ShardingManager } = require('discord.js');
+
+const { shardForKey } = require('./storage');
+const { sendError, requireAdminToken } = require('./api');
+
+// ---------- ENV ----------
+const TOKEN = process.env.DISCORD_TOKEN;
+const TOTAL_SHARDS = process.env.TOTAL_SHARDS ? Number(process.env.TOTAL_SHARDS) : 'auto';
+const PORT = Number(process.env.PORT) || 3000;
+// shard n serves its web server on 127.0.0.1:(SHARD_PORT_BASE + n); the shards inherit the env
+process.env.SHARD_PORT_BASE ||= String(PORT + 1);
+const SHARD_PORT_BASE = Number(process.env.SHARD_PORT_BASE);
+
+if (!TOKEN) {
+  console.error('❌ Please set DISCORD_TOKEN in your environment.');
+  process.exit(1);
+}
+if (TOTAL_SHARDS !== 'auto' && !(Number.isInteger(TOTAL_SHARDS) && TOTAL_SHARDS > 0)) {
+  console.error('❌ TOTAL_SHARDS must be a positive whole number.');
+  process.exit(1);
+}
+// the JSON backend keeps a file per shard and doesn't move servers between them
+if (TOTAL_SHARDS === 'auto' && (process.env.STORAGE_BACKEND || 'json') === 'json') {
+  console.error('❌ Set TOTAL_SHARDS (the shard count must stay fixed with the JSON backend) or use STORAGE_BACKEND=sqlite.');
+  process.exit(1);
+}
+
+// ---------- SHARDS ----------
+const manager = new ShardingManager(path.join(__dirname, 'index.js'), { token: TOKEN, totalShards: TOTAL_SHARDS });
+
+manager.on('shardCreate', (shard) => {
+  console.log(`🧩 Launched shard ${shard.id}`);
+  shard.on('death', () => console.warn(`⚠️ Shard ${shard.id} exited, respawning`));
+});
+
+manager.spawn().catch((e) => {
+  console.error('❌ Could not spawn shards:', e.message);
+  process.exit(1);
+});
+
+// One report per shard; a shard that doesn't answer is listed as unreachable
+async function collectShardHealth() {
+  const file = require.resolve('./health');
+  const reports = await Promise.all([...manager.shards.values()].map(shard =>
+    shard.eval((c, { file }) => require(file).shardHealth(c), { file })
+      .catch(e => [{ id: shard.id, status: 'Unreachable', error: e.message }])
+  ));
+  return reports.flat().sort((a, b) => a.id - b.id);
+}
+
+// ---------- EXPRESS ----------
+const app = express();
+
+app.get('/', (_req, res) => {
+  res.send('✅ Phantom Forge Invites bot is online and running!');
+});
+
+// The API of a server is answered by the shard that serves it
+app.use('/api/v1/guilds/:guildId', (req, res) => {
+  if (typeof manager.totalShards !== 'number') {
+    return sendError(res, 503, 'starting', 'The shards are still starting');
+  }
+  const port = SHARD_PORT_BASE + shardForKey(req.params.guildId, manager.totalShards);
+  const upstream = http.request(
+    { host: '127.0.0.1', port, method: req.method, path: req.originalUrl, headers: req.headers },
+    (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    }
+  );
+  upstream.on('error', () => {
+    if (!res.headersSent) sendError(res, 503, 'shard_unavailable', 'The shard serving this guild is not running');
+  });
+  req.pipe(upstream);
+});
+
+app.get('/health', (_req, res) => {
+  res.status(200).json({
+    ok: true,
+    service: 'phantom-forge-invites',
+    shards: manager.shards.size,
+    total_shards: manager.totalShards,
+    uptime_s: Math.floor(process.uptime()),
+    timestamp: Date.now()
+  });
+});
+
+app.head('/health', (_req, res) => res.status(200).end());
+
+// Gateway status of every shard, for operators (Authorization: Bearer <ADMIN_TOKEN>)
+app.get('/health/shards', requireAdminToken(), async (_req, res) => {
+  res.json({ total_shards: manager.totalShards, shards: await collectShardHealth() });
+});
+
+app.listen(PORT, () => console.log(`🌐 Web server running on port ${PORT}`));
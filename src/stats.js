@@ -0,0 +1,98 @@
+// Per-user invite counters, shared by the bot, the API and import/export.
+
+const STAT_FIELDS = ['joins', 'leaves', 'bonus', 'fake', 'rejoins'];
+
+// Joins no user can be credited for go to these pseudo-inviters, so every source
+// shows up in stats like a user would. Vanity joins may also be credited to a
+// role, stored under `role:<roleId>`. Joins held back by raid mode or a detected
+// join burst go to `raid`.
+const PSEUDO_INVITERS = {
+  vanity: 'Vanity URL',
+  oauth: 'OAuth / integration',
+  bot: 'Bot added',
+  unknown: 'Unknown',
+  raid: 'Held back (raid)',
+};
+
+function isPseudoInviter(id) {
+  return Object.hasOwn(PSEUDO_INVITERS, id) || /^role:\d{15,20}$/.test(id);
+}
+
+function emptyStats() {
+  return { joins: 0, leaves: 0, bonus: 0, fake: 0, rejoins: 0, lastInviteCode: null };
+}
+
+// Fakes are a penalty: a fake join never added to `joins` and still takes one off,
+// and a quick leave (fake.leaveWithinHours) moves its join to `fake`, so it costs
+// two where a normal leave costs one. /fakerules says so in its footer.
+function computeTotal(s) {
+  const joins = s?.joins ?? 0;
+  const leaves = s?.leaves ?? 0;
+  const bonus = s?.bonus ?? 0;
+  const fake = s?.fake ?? 0;
+  return joins - leaves - fake + bonus;
+}
+
+// Brings one stored entry to the current schema. The oldest files only had
+// { total }, which becomes joins. Returns { value, migrated }.
+function normalizeStats(s) {
+  if (s && typeof s === 'object' && s.total != null && s.joins == null) {
+    return {
+      value: { ...emptyStats(), joins: Number(s.total) || 0, lastInviteCode: s.lastInviteCode ?? null },
+      migrated: true,
+    };
+  }
+  const value = { ...(s && typeof s === 'object' ? s : {}) };
+  for (const field of STAT_FIELDS) value[field] ??= 0;
+  if (!('lastInviteCode' in value)) value.lastInviteCode = null;
+  return { value, migrated: false };
+}
+
+// Share of credited joins that haven't left, in percent (null without joins)
+function retentionPct(s) {
+  const joins = s?.joins ?? 0;
+  if (joins <= 0) return null;
+  return Math.max(0, Math.round(((joins - (s.leaves ?? 0)) / joins) * 100));
+}
+
+// Leaderboard sort keys: how to read the value and how to show it
+const LEADERBOARD_SORTS = {
+  total: { label: 'Total', value: computeTotal, format: (v) => `**${v}** invites` },
+  joins: { label: 'Joins', value: (s) => s.joins ?? 0, format: (v) => `**${v}** joins` },
+  leaves: { label: 'Leaves', value: (s) => s.leaves ?? 0, format: (v) => `**${v}** leaves` },
+  bonus: { label: 'Bonus', value: (s) => s.bonus ?? 0, format: (v) => `**${v}** bonus` },
+  retention: {
+    label: 'Retention',
+    value: retentionPct,
+    format: (v, s) => `**${v}%** retention (${Math.max(0, s.joins - (s.leaves ?? 0))}/${s.joins} stayed)`,
+  },
+};
+
+// Ranks users by one sort key, best first. Users without a positive value are
+// left out; equal values share a rank (1, 2, 2, 4). `keep(userId)` filters users.
+// Returns [{ userId, rank, value, stats }].
+function rankStats(byUser, sort = 'total', keep = () => true) {
+  const { value } = LEADERBOARD_SORTS[sort];
+  const rows = Object.entries(byUser ?? {})
+    .filter(([uid]) => keep(uid))
+    .map(([userId, s]) => ({ userId, value: value(s), stats: s }))
+    // retention can be 0% and still say something; the others need a positive value
+    .filter(r => (sort === 'retention' ? r.value !== null : r.value > 0))
+    .sort((a, b) => b.value - a.value || (b.stats.joins ?? 0) - (a.stats.joins ?? 0) || a.userId.localeCompare(b.userId));
+  rows.forEach((r, i) => {
+    r.rank = i > 0 && rows[i - 1].value === r.value ? rows[i - 1].rank : i + 1;
+  });
+  return rows;
+}
+
+module.exports = {
+  STAT_FIELDS,
+  PSEUDO_INVITERS,
+  LEADERBOARD_SORTS,
+  emptyStats,
+  computeTotal,
+  normalizeStats,
+  isPseudoInviter,
+  retentionPct,
+  rankStats,
+};
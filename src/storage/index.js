@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { createJsonBackend, writeAtomic } = require('./json');
+const { createSqliteBackend } = require('./sqlite');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'invites.db');
+
+// Every collection is a plain object that is loaded once and saved as a whole.
+// With the JSON backend each one lives in data/<name>.json.
+const COLLECTIONS = [
+  'invites',  // per guild: invite snapshots
+  'config',   // legacy per guild log channel id, moved into settings on load
+  'stats',    // per guild per user: joins/leaves/bonus/fake/rejoins
+  'status',   // live-status message reference
+  'members',  // per guild: memberId -> inviterId
+  'settings', // per guild: feature settings (fake rules, rewards, ...)
+  'history',  // per guild per member: join history
+  'events',   // per guild: timestamped join/leave/bonus events
+  'audit',    // per guild: staff changes to inviters and stats
+  'seen',     // per guild: when the bot last had a live view (offline reconciliation)
+  'contests', // per guild: running or last ended invite contest
+  'owners',   // per guild: owners of personal invites (/myinvite)
+  'departed', // per guild: when the bot was removed, for the cleanup after the grace period
+];
+
+// Collections that only grow: entries are appended one by one (store.append)
+// instead of saving the whole collection. JSON keeps them in data/<name>.jsonl.
+const LOG_COLLECTIONS = ['events'];
+
+// Shard that serves a guild, like ShardClientUtil.shardIdForGuildId. Keys that
+// aren't guild ids (single-server data of old versions) belong to shard 0.
+function shardForKey(key, count) {
+  if (!/^\d{15,21}$/.test(key)) return 0;
+  return Number((BigInt(key) >> 22n) % BigInt(count));
+}
+
+function createBackend(kind, dataDir, shard, keep) {
+  if (kind === 'json') return createJsonBackend({ dataDir, shard, keep, logs: LOG_COLLECTIONS });
+  if (kind === 'sqlite') return createSqliteBackend({ file: SQLITE_PATH, keep, logs: LOG_COLLECTIONS });
+  throw new Error(`Unknown STORAGE_BACKEND "${kind}" (expected "json" or "sqlite")`);
+}
+
+function jsonFilesPresent(dataDir) {
+  return COLLECTIONS.some(name => fs.existsSync(path.join(dataDir, `${name}.json`)) || fs.existsSync(path.join(dataDir, `${name}.jsonl`)));
+}
+
+// Copies every data/*.json collection into the given backend in one batch
+function importJsonCollections(target, dataDir = DATA_DIR) {
+  const source = createJsonBackend({ dataDir, logs: LOG_COLLECTIONS });
+  const batch = COLLECTIONS.map(name => [name, source.read(name)]);
+  target.writeMany(batch);
+  return batch.map(([name, obj]) => [name, Object.keys(obj).length]);
+}
+
+// Store with write batching: save() only marks a collection dirty, the
+// latest state of every dirty collection is written together after `flushMs`.
+// append() queues one entry of a log collection the same way.
+// With `shard` ({ id, count }) only the guilds of that shard are read and written,
+// so every shard process keeps its own part of the data.
+function createStore({
+  backend = process.env.STORAGE_BACKEND || 'json',
+  dataDir = DATA_DIR,
+  flushMs = Number(process.env.STORAGE_FLUSH_MS) || 500,
+  shard = null,
+} = {}) {
+  const keep = shard ? (key) => shardForKey(key, shard.count) === shard.id : () => true;
+  const impl = createBackend(backend, dataDir, shard, keep);
+  const pending = new Map(); // name -> live object
+  let appends = [];          // [name, key, entry] not yet written
+  let timer = null;
+
+  function schedule() {
+    if (!timer) timer = setTimeout(flush, flushMs);
+  }
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (pending.size === 0 && appends.length === 0) return;
+    const batch = [...pending.entries()];
+    const entries = appends;
+    pending.clear();
+    appends = [];
+    try {
+      if (batch.length) impl.writeMany(batch);
+    } catch (e) {
+      console.error(`❌ Storage write failed (${backend}): ${e.message}`);
+      // keep the data queued unless a newer save already replaced it
+      for (const [name, obj] of batch) if (!pending.has(name)) pending.set(name, obj);
+      appends = [...entries.filter(([name]) => !pending.has(name)), ...appends];
+      schedule();
+      return;
+    }
+    try {
+      if (entries.length) impl.appendMany(entries);
+    } catch (e) {
+      console.error(`❌ Storage write failed (${backend}): ${e.message}`);
+      appends = [...entries, ...appends];
+      schedule();
+    }
+  }
+
+  return {
+    backend,
+    shard,
+
+    async init() {
+      await impl.init();
+      if (backend === 'sqlite' && impl.isEmpty() && jsonFilesPresent(dataDir)) {
+        // each shard would import only its own guilds, and the next one to start
+        // would find the database no longer empty
+        if (shard) throw new Error('Run `npm run migrate:sqlite` before starting shards on an empty database');
+        const counts = importJsonCollections(impl, dataDir);
+        impl.setMeta('migrated_from_json', String(Date.now()));
+        console.log(`📦 Migrated JSON data into SQLite: ${counts.map(([n, c]) => `${n}=${c}`).join(', ')}`);
+      }
+    },
+
+    load(name) {
+      return impl.read(name);
+    },
+
+    // For a log collection this rewrites the whole log, queued entries included
+    save(name, obj) {
+      pending.set(name, obj);
+      if (LOG_COLLECTIONS.includes(name)) appends = appends.filter(([n]) => n !== name);
+      schedule();
+    },
+
+    // One new entry of a log collection: `obj[key].push(entry)` on the loaded object
+    append(name, key, entry) {
+      if (pending.has(name)) return; // a whole rewrite is already queued and includes it
+      appends.push([name, key, entry]);
+      schedule();
+    },
+
+    flush,
+
+    // Writes a copy to data/archive/<name>.json, outside the collections
+    archive(name, obj) {
+      const dir = path.join(dataDir, 'archive');
+      fs.mkdirSync(dir, { recursive: true });
+      writeAtomic(path.join(dir, `${name}.json`), obj);
+    },
+
+    close() {
+      flush();
+      impl.close?.();
+    },
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  SQLITE_PATH,
+  COLLECTIONS,
+  LOG_COLLECTIONS,
+  shardForKey,
+  createStore,
+  importJsonCollections,
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Write to a temp file, fsync, then rename over the target. The rename is
+// atomic, so a crash leaves either the old or the new file, never half of one.
+function writeAtomic(p, obj) {
+  writeTextAtomic(p, JSON.stringify(obj, null, 2));
+}
+
+function writeTextAtomic(p, text) {
+  const tmp = `${p}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, p);
+}
+
+function appendText(p, text) {
+  const fd = fs.openSync(p, 'a');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// A missing file is null. A corrupt one is an error: starting with {} would
+// overwrite the real data on the next save.
+function readJson(p) {
+  let raw;
+  try {
+    raw = fs.readFileSync(p, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${p} is not valid JSON (${e.message}). Restore it from a backup or delete it to start empty.`);
+  }
+}
+
+// A log file has one `[key, entry]` JSON array per line; null when it is
+// missing. A crash during an append can only cut off the last line, which is
+// skipped (`torn`); any other bad line is an error, like a corrupt JSON file.
+function readLogLines(p) {
+  let raw;
+  try {
+    raw = fs.readFileSync(p, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  const lines = raw.split('\n');
+  const obj = {};
+  let torn = false;
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let key, entry;
+    try {
+      [key, entry] = JSON.parse(line);
+    } catch (e) {
+      if (i >= lines.length - 2) {
+        console.warn(`⚠️ Skipping the unfinished last line of ${p}`);
+        torn = true;
+        return;
+      }
+      throw new Error(`${p} line ${i + 1} is not valid JSON (${e.message}). Restore it from a backup or remove the line.`);
+    }
+    (obj[key] ??= []).push(entry);
+  });
+  return { entries: obj, torn };
+}
+
+const logLines = (entries) => entries.map(([key, entry]) => `${JSON.stringify([key, entry])}\n`).join('');
+const flattenLog = (obj) => Object.entries(obj).flatMap(([key, list]) => list.map(entry => [key, entry]));
+
+// Sharded, every shard has its own <name>.shard-<id>.json, which starts as that
+// shard's part of the unsharded <name>.json. Guilds are not moved between files
+// when the shard count changes, so it has to stay fixed with this backend.
+//
+// Log collections (`logs`, e.g. events) are append-only <name>.jsonl files, so
+// recording an entry doesn't rewrite the whole log. A <name>.json left by older
+// versions is converted on first load.
+function createJsonBackend({ dataDir, shard = null, keep = () => true, logs = [] }) {
+  const base = (name) => path.join(dataDir, shard ? `${name}.shard-${shard.id}` : name);
+  const fileFor = (name) => `${base(name)}.json`;
+  const logFileFor = (name) => `${base(name)}.jsonl`;
+  const ownKeys = (obj) => Object.fromEntries(Object.entries(obj).filter(([key]) => keep(key)));
+
+  // A missing file is an empty collection
+  function readDocument(name) {
+    const own = readJson(fileFor(name));
+    if (own || !shard) return own ?? {};
+    return ownKeys(readJson(path.join(dataDir, `${name}.json`)) ?? {});
+  }
+
+  // Starts the file from the older sources when it doesn't exist yet, and
+  // rewrites it without a torn last line so new entries don't land on it
+  function readLog(name) {
+    const own = readLogLines(logFileFor(name));
+    if (own && !own.torn) return own.entries;
+    const unsharded = !own && shard ? readLogLines(path.join(dataDir, `${name}.jsonl`)) : null;
+    const obj = own?.entries ?? (unsharded ? ownKeys(unsharded.entries) : readDocument(name));
+    writeTextAtomic(logFileFor(name), logLines(flattenLog(obj)));
+    return obj;
+  }
+
+  return {
+    async init() {
+      await fsp.mkdir(dataDir, { recursive: true });
+    },
+
+    read(name) {
+      return logs.includes(name) ? readLog(name) : readDocument(name);
+    },
+
+    // Whole collections; a log is rewritten (only for cleanups and imports)
+    writeMany(batch) {
+      for (const [name, obj] of batch) {
+        if (logs.includes(name)) writeTextAtomic(logFileFor(name), logLines(flattenLog(obj)));
+        else writeAtomic(fileFor(name), obj);
+      }
+    },
+
+    // New log entries: [[name, key, entry], ...]
+    appendMany(entries) {
+      const byName = new Map();
+      for (const [name, key, entry] of entries) {
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push([key, entry]);
+      }
+      for (const [name, list] of byName) appendText(logFileFor(name), logLines(list));
+    },
+  };
+}
+
+module.exports = { createJsonBackend, writeAtomic };
@@ -0,0 +1,37 @@
+// One-shot migration of data/*.json into the SQLite database.
+// Usage: npm run migrate:sqlite [-- --force]
+require('dotenv').config();
+const fs = require('fs');
+const { DATA_DIR, SQLITE_PATH, COLLECTIONS, LOG_COLLECTIONS, importJsonCollections } = require('./index');
+const { createSqliteBackend } = require('./sqlite');
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const db = createSqliteBackend({ file: SQLITE_PATH, logs: LOG_COLLECTIONS });
+  await db.init();
+  try {
+    if (!db.isEmpty() && !force) {
+      console.error(`❌ ${SQLITE_PATH} already contains data. Re-run with --force to overwrite it from ${DATA_DIR}.`);
+      process.exitCode = 1;
+      return;
+    }
+    if (!fs.existsSync(DATA_DIR)) {
+      console.error(`❌ No data directory at ${DATA_DIR}`);
+      process.exitCode = 1;
+      return;
+    }
+    // read every collection first so existing rows are diffed and replaced
+    for (const name of COLLECTIONS) db.read(name);
+    const counts = importJsonCollections(db, DATA_DIR);
+    db.setMeta('migrated_from_json', String(Date.now()));
+    for (const [name, count] of counts) console.log(`  ${name}: ${count} entries`);
+    console.log(`✅ Migrated JSON data into ${SQLITE_PATH}. Set STORAGE_BACKEND=sqlite to use it.`);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((e) => {
+  console.error('❌ Migration failed:', e.message);
+  process.exit(1);
+});
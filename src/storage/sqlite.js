@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch {
+    throw new Error('STORAGE_BACKEND=sqlite needs the optional "better-sqlite3" package (npm install better-sqlite3)');
+  }
+}
+
+// Each top-level key of a collection (usually a guild id) is one row, so a save
+// only touches the guilds whose data actually changed. `keep(key)` limits reads
+// and writes to some keys (the guilds of one shard); other rows are left alone,
+// so several shard processes can share one database.
+//
+// Log collections (`logs`, e.g. events) are kept one row per entry in
+// `log_entries`, in insertion order, so recording an entry is one INSERT.
+function createSqliteBackend({ file, keep = () => true, logs = [] }) {
+  const Database = loadDriver();
+  const written = new Map(); // collection -> Map(key -> last written JSON)
+  let db = null;
+
+  function insertLog(name, key, entries) {
+    const insert = db.prepare('INSERT INTO log_entries (collection, key, at, value) VALUES (?, ?, ?, ?)');
+    for (const entry of entries) insert.run(name, key, entry?.at ?? null, JSON.stringify(entry));
+  }
+
+  function readLog(name) {
+    const obj = {};
+    for (const { key, value } of db.prepare('SELECT key, value FROM log_entries WHERE collection = ? ORDER BY id').iterate(name)) {
+      if (keep(key)) (obj[key] ??= []).push(JSON.parse(value));
+    }
+    return obj;
+  }
+
+  // Whole-log rewrites are rare (cleanups, imports): replace this process's keys
+  function replaceLog(name, obj) {
+    const keys = db.prepare('SELECT DISTINCT key FROM log_entries WHERE collection = ?').pluck().all(name);
+    const remove = db.prepare('DELETE FROM log_entries WHERE collection = ? AND key = ?');
+    for (const key of keys) if (keep(key)) remove.run(name, key);
+    for (const [key, entries] of Object.entries(obj)) if (keep(key)) insertLog(name, key, entries);
+  }
+
+  return {
+    async init() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.pragma('busy_timeout = 5000'); // other shards may be writing
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+          collection TEXT NOT NULL,
+          key        TEXT NOT NULL,
+          value      TEXT NOT NULL,
+          PRIMARY KEY (collection, key)
+        );
+        CREATE TABLE IF NOT EXISTS meta (
+          key   TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS log_entries (
+          id         INTEGER PRIMARY KEY AUTOINCREMENT,
+          collection TEXT NOT NULL,
+          key        TEXT NOT NULL,
+          at         INTEGER,
+          value      TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS log_entries_by_key ON log_entries (collection, key, at);
+      `);
+      // older versions kept a log as one document per key
+      db.transaction(() => {
+        for (const name of logs) {
+          const rows = db.prepare('SELECT key, value FROM documents WHERE collection = ?').all(name);
+          for (const { key, value } of rows) insertLog(name, key, JSON.parse(value));
+          db.prepare('DELETE FROM documents WHERE collection = ?').run(name);
+        }
+      })();
+    },
+
+    isEmpty() {
+      return !db.prepare('SELECT 1 FROM documents LIMIT 1').get()
+        && !db.prepare('SELECT 1 FROM log_entries LIMIT 1').get();
+    },
+
+    read(name) {
+      if (logs.includes(name)) return readLog(name);
+      const rows = db.prepare('SELECT key, value FROM documents WHERE collection = ?').all(name);
+      const obj = {};
+      const seen = new Map();
+      for (const { key, value } of rows) {
+        if (!keep(key)) continue;
+        obj[key] = JSON.parse(value);
+        seen.set(key, value);
+      }
+      written.set(name, seen);
+      return obj;
+    },
+
+    writeMany(batch) {
+      const upsert = db.prepare(
+        'INSERT INTO documents (collection, key, value) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value'
+      );
+      const remove = db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?');
+      const next = new Map();
+
+      db.transaction(() => {
+        for (const [name, obj] of batch) {
+          if (logs.includes(name)) {
+            replaceLog(name, obj);
+            continue;
+          }
+          const prev = written.get(name) ?? new Map();
+          const cur = new Map();
+          for (const [key, val] of Object.entries(obj)) {
+            if (!keep(key)) continue;
+            const json = JSON.stringify(val);
+            cur.set(key, json);
+            if (prev.get(key) !== json) upsert.run(name, key, json);
+          }
+          for (const key of prev.keys()) if (!cur.has(key)) remove.run(name, key);
+          next.set(name, cur);
+        }
+      })();
+
+      // only remember what was written once the transaction committed
+      for (const [name, cur] of next) written.set(name, cur);
+    },
+
+    // New log entries: [[name, key, entry], ...]
+    appendMany(entries) {
+      db.transaction(() => {
+        for (const [name, key, entry] of entries) insertLog(name, key, [entry]);
+      })();
+    },
+
+    setMeta(key, value) {
+      db.prepare(
+        'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+      ).run(key, value);
+    },
+
+    close() {
+      db?.close();
+      db = null;
+    },
+  };
+}
+
+module.exports = { createSqliteBackend };
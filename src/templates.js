@@ -0,0 +1,90 @@
+// Join/leave log message templates.
+// A template is { text, mode } where mode is 'text' or 'embed'. `{name}` placeholders
+// are replaced by the variables passed to renderTemplate(); unknown ones stay as-is.
+
+const TEMPLATE_TYPES = ['join', 'vanity', 'oauth', 'leave'];
+const TEMPLATE_LABELS = { join: 'Join (invite)', vanity: 'Join (vanity URL)', oauth: 'Join (OAuth / unknown)', leave: 'Leave' };
+
+const PLACEHOLDERS = {
+  user: 'Mention of the member',
+  userTag: 'Username of the member',
+  userId: 'ID of the member',
+  inviter: 'Mention of the inviter (or `unknown`)',
+  inviterId: 'ID of the inviter',
+  code: 'Invite code used (or `unknown`)',
+  source: 'Invite, Vanity URL, OAuth / integration, Bot added or Unknown',
+  confidence: 'How sure the attribution is: exact, inferred or unknown',
+  inviterTotal: 'Invite total of the inviter',
+  memberCount: 'Member count of the server',
+  guild: 'Server name',
+  accountAge: 'Account creation time (relative)',
+  joinedAt: 'When the member joined (leave logs)',
+  timeInServer: 'How long the member stayed (leave logs)',
+  rejoin: 'Rejoin note, empty for first joins',
+  fake: 'Fake account warning, empty for normal accounts',
+};
+
+const DEFAULT_TEMPLATES = {
+  join: {
+    mode: 'text',
+    text:
+      'Welcome **{userTag}** !{rejoin}\n' +
+      'Created {accountAge}\n' +
+      'They were invited by `{source}` ({inviter} (`{code}`)) · `{confidence}`\n' +
+      '{fake}\n' +
+      '`{guild}` now has `{memberCount}` members',
+  },
+  vanity: {
+    mode: 'text',
+    text:
+      'Welcome **{userTag}** !{rejoin}\n' +
+      'Created {accountAge}\n' +
+      'They were invited by `{source}` (`unknown`) · `{confidence}`\n' +
+      '{fake}\n' +
+      '`{guild}` now has `{memberCount}` members',
+  },
+  oauth: {
+    mode: 'text',
+    text:
+      'Welcome **{userTag}** !{rejoin}\n' +
+      'Created {accountAge}\n' +
+      'They were invited by `{source}` (`unknown`) · `{confidence}`\n' +
+      '{fake}\n' +
+      '`{guild}` now has `{memberCount}` members',
+  },
+  leave: {
+    mode: 'text',
+    text:
+      '**{userTag}** left the server.\n' +
+      'They were invited by {inviter} (`{code}`)\n' +
+      'Joined {joinedAt} and stayed for **{timeInServer}**\n' +
+      '{fake}\n' +
+      '`{guild}` now has `{memberCount}` members',
+  },
+};
+
+// Slash command options can't contain line breaks, so `\n` is typed literally
+function normalizeTemplateText(text) {
+  return text.replace(/\\n/g, '\n');
+}
+
+// Lines that only held a placeholder which rendered empty (e.g. {fake}) are dropped
+function renderTemplate(text, vars) {
+  return text
+    .split('\n')
+    .filter((line) => {
+      const only = /^\s*\{(\w+)\}\s*$/.exec(line);
+      return !(only && only[1] in vars && !vars[only[1]]);
+    })
+    .map((line) => line.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key] ?? '') : m)))
+    .join('\n');
+}
+
+module.exports = {
+  TEMPLATE_TYPES,
+  TEMPLATE_LABELS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  normalizeTemplateText,
+  renderTemplate,
+};
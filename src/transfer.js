@@ -0,0 +1,247 @@
+// Export/import of invite data (per-user counters + member -> inviter mapping).
+//
+// Export: JSON { version, guildId, exportedAt, stats, members } or two CSV files.
+// Import accepts our own exports and, for moving from another bot:
+//   - a JSON map { [userId]: { joins, leaves, ... } } or the legacy { [userId]: { total } }
+//   - a JSON array of rows [{ userId, joins, ... }]
+//   - CSV with a userId column plus counter columns (or just `total`)
+//   - CSV with memberId,inviterId columns for the mapping
+const { STAT_FIELDS, emptyStats, computeTotal, normalizeStats, isPseudoInviter } = require('./stats');
+
+const EXPORT_VERSION = 1;
+const SNOWFLAKE = /^\d{15,20}$/;
+const MAX_ERRORS = 10;
+
+// ---------- CSV ----------
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+    } else {
+      cell += c;
+    }
+  }
+  row.push(cell);
+  if (row.some(v => v !== '')) rows.push(row);
+  return rows;
+}
+
+// ---------- EXPORT ----------
+function exportJson(guildId, guildStats, members) {
+  const out = {};
+  for (const [uid, s] of Object.entries(guildStats ?? {})) {
+    out[uid] = { ...normalizeStats(s).value, total: computeTotal(s) };
+  }
+  return { version: EXPORT_VERSION, guildId, exportedAt: new Date().toISOString(), stats: out, members: { ...(members ?? {}) } };
+}
+
+function exportCsv(guildStats, members) {
+  const statsRows = Object.entries(guildStats ?? {}).map(([uid, s]) => {
+    const v = normalizeStats(s).value;
+    return [uid, ...STAT_FIELDS.map(f => v[f]), computeTotal(v)];
+  });
+  const memberRows = Object.entries(members ?? {}).map(([mid, inviterId]) => [mid, inviterId]);
+  return {
+    'stats.csv': toCsv(['userId', ...STAT_FIELDS, 'total'], statsRows),
+    'members.csv': toCsv(['memberId', 'inviterId'], memberRows),
+  };
+}
+
+// ---------- IMPORT ----------
+function toInt(value) {
+  if (value === '' || value == null) return 0;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+// Validates one user's counters; pushes problems to `errors`
+function readStatsRow(userId, raw, where, errors) {
+  if (!SNOWFLAKE.test(String(userId)) && !isPseudoInviter(String(userId))) {
+    errors.push(`${where}: "${userId}" is not a valid user id`);
+    return null;
+  }
+  const legacy = raw.total != null && raw.joins == null;
+  const source = legacy ? { total: toInt(raw.total) } : Object.fromEntries(STAT_FIELDS.map(f => [f, toInt(raw[f])]));
+  for (const [field, value] of Object.entries(source)) {
+    if (Number.isNaN(value)) errors.push(`${where}: ${field} must be a whole number`);
+    else if (field !== 'bonus' && field !== 'total' && value < 0) errors.push(`${where}: ${field} cannot be negative`);
+  }
+  return normalizeStats(source).value;
+}
+
+function readMemberRow(memberId, inviterId, where, errors) {
+  if (!SNOWFLAKE.test(String(memberId)) || !(SNOWFLAKE.test(String(inviterId)) || isPseudoInviter(String(inviterId)))) {
+    errors.push(`${where}: memberId and inviterId must be valid user ids (or a join source)`);
+    return false;
+  }
+  return true;
+}
+
+function parseCsvImport(text, result, errors) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    errors.push('The file is empty');
+    return;
+  }
+  const cols = header.map(h => h.trim().replace(/^﻿/, '').toLowerCase().replace(/[_\s]/g, ''));
+  const col = (name) => cols.indexOf(name.toLowerCase());
+
+  if (col('memberId') !== -1 && col('inviterId') !== -1) {
+    result.members = {};
+    rows.forEach((r, i) => {
+      const mid = r[col('memberId')]?.trim();
+      const inv = r[col('inviterId')]?.trim();
+      if (readMemberRow(mid, inv, `row ${i + 2}`, errors)) result.members[mid] = inv;
+    });
+    return;
+  }
+
+  const idCol = ['userid', 'user', 'id'].map(col).find(i => i !== -1);
+  if (idCol === undefined) {
+    errors.push('CSV needs a userId column (or memberId + inviterId columns)');
+    return;
+  }
+  result.stats = {};
+  rows.forEach((r, i) => {
+    const raw = {};
+    for (const field of [...STAT_FIELDS, 'total']) {
+      if (col(field) !== -1) raw[field] = r[col(field)]?.trim();
+    }
+    const uid = r[idCol]?.trim();
+    const value = readStatsRow(uid, raw, `row ${i + 2}`, errors);
+    if (value) result.stats[uid] = value;
+  });
+}
+
+function parseJsonImport(data, result, errors) {
+  const statsPart = data && !Array.isArray(data) && typeof data.stats === 'object' ? data.stats : data;
+  if (Array.isArray(statsPart)) {
+    result.stats = {};
+    statsPart.forEach((row, i) => {
+      const uid = String(row?.userId ?? row?.id ?? '');
+      const value = readStatsRow(uid, row ?? {}, `entry ${i + 1}`, errors);
+      if (value) result.stats[uid] = value;
+    });
+  } else if (statsPart && typeof statsPart === 'object') {
+    result.stats = {};
+    for (const [uid, row] of Object.entries(statsPart)) {
+      if (!row || typeof row !== 'object') {
+        errors.push(`user ${uid}: expected an object with counters`);
+        continue;
+      }
+      const value = readStatsRow(uid, row, `user ${uid}`, errors);
+      if (value) result.stats[uid] = value;
+    }
+  } else {
+    errors.push('JSON must be an object or an array');
+  }
+
+  if (data && typeof data.members === 'object' && !Array.isArray(data.members)) {
+    result.members = {};
+    for (const [mid, inv] of Object.entries(data.members)) {
+      if (readMemberRow(mid, inv, `member ${mid}`, errors)) result.members[mid] = String(inv);
+    }
+  }
+}
+
+// Returns { stats?, members?, errors }; `stats`/`members` are only set when the file had them
+function parseImport(text, filename = '') {
+  const errors = [];
+  const result = {};
+  const trimmed = text.trim();
+  if (/\.csv$/i.test(filename) || !/^[[{]/.test(trimmed)) {
+    parseCsvImport(trimmed, result, errors);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      return { errors: [`Invalid JSON: ${e.message}`] };
+    }
+    parseJsonImport(data, result, errors);
+  }
+  if (!result.stats && !result.members && errors.length === 0) errors.push('No invite data found in the file');
+  return { ...result, errors: errors.slice(0, MAX_ERRORS), errorCount: errors.length };
+}
+
+// Works out what an import would change, without touching anything.
+// merge: counters from the file are added to the existing ones, mappings overwrite.
+// replace: the file becomes the new data (only for the parts it contains).
+function planImport(current, incoming, mode) {
+  const nextStats = mode === 'replace' && incoming.stats ? {} : structuredClone(current.stats ?? {});
+  const changes = [];
+
+  if (incoming.stats) {
+    for (const [uid, s] of Object.entries(incoming.stats)) {
+      const before = current.stats?.[uid] ?? null;
+      const after = mode === 'merge' && before
+        ? { ...before, ...Object.fromEntries(STAT_FIELDS.map(f => [f, (before[f] ?? 0) + s[f]])) }
+        : { ...emptyStats(), ...s, lastInviteCode: before?.lastInviteCode ?? null };
+      nextStats[uid] = after;
+      if (!before || computeTotal(before) !== computeTotal(after) || STAT_FIELDS.some(f => before[f] !== after[f])) {
+        changes.push({ userId: uid, before, after });
+      }
+    }
+  }
+  const removed = mode === 'replace' && incoming.stats
+    ? Object.keys(current.stats ?? {}).filter(uid => !(uid in incoming.stats))
+    : [];
+
+  const nextMembers = mode === 'replace' && incoming.members ? {} : { ...(current.members ?? {}) };
+  let membersAdded = 0;
+  let membersChanged = 0;
+  for (const [mid, inv] of Object.entries(incoming.members ?? {})) {
+    const prev = current.members?.[mid];
+    if (!prev) membersAdded++;
+    else if (prev !== inv) membersChanged++;
+    nextMembers[mid] = inv;
+  }
+  const membersRemoved = mode === 'replace' && incoming.members
+    ? Object.keys(current.members ?? {}).filter(mid => !(mid in incoming.members)).length
+    : 0;
+
+  return {
+    mode,
+    replacesStats: mode === 'replace' && Boolean(incoming.stats),
+    changes,
+    removed,
+    membersAdded,
+    membersChanged,
+    membersRemoved,
+    next: { stats: nextStats, members: nextMembers },
+  };
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  exportJson,
+  exportCsv,
+  parseCsv,
+  parseImport,
+  planImport,
+};
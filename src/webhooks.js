@@ -0,0 +1,204 @@
+// Outgoing webhooks: POSTs signed JSON payloads to per-guild subscriptions.
+//
+// Each request carries
+//   X-Webhook-Id         subscription id
+//   X-Webhook-Event      event type, e.g. member.join
+//   X-Webhook-Timestamp  ms since epoch
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of `${timestamp}.${body}` with the secret>
+// Failed deliveries (network error, timeout, non-2xx) are retried with exponential
+// backoff. Retries live in memory, so a restart drops deliveries still waiting.
+// Targets that resolve to private, loopback or link-local addresses are refused when
+// the webhook is added and again on every delivery, and redirects are not followed.
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = ['member.join', 'member.leave', 'invite.create', 'invite.delete', 'bonus.update', 'raid.detected'];
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 2_000;  // 2s, 8s, 32s, 128s between attempts
+const TIMEOUT_MS = 10_000;
+
+function generateId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isValidWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges; IPv4-mapped and
+// NAT64 IPv6 addresses are refused outright. Two lists, because a BlockList also checks
+// plain IPv4 addresses against ::ffff:0:0/96.
+const BLOCKED_V4 = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED_V4.addSubnet(address, prefix, 'ipv4');
+const BLOCKED_V6 = new net.BlockList();
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED_V6.addSubnet(address, prefix, 'ipv6');
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !BLOCKED_V4.check(address, 'ipv4');
+  if (family === 6) return !BLOCKED_V6.check(address, 'ipv6');
+  return false;
+}
+
+class BlockedTargetError extends Error {
+  constructor(host, address) {
+    super(`${host} resolves to a non-public address (${address})`);
+    this.name = 'BlockedTargetError';
+  }
+}
+
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+// dns.lookup replacement for https.request: the address checked is the one connected to
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(new BlockedTargetError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Checks a webhook URL before it is saved.
+ * @returns {Promise<null | 'invalid' | 'unresolvable' | 'private'>} null when the URL may be used
+ */
+async function checkWebhookTarget(value) {
+  if (!isValidWebhookUrl(value)) return 'invalid';
+  const host = hostOf(new URL(value));
+  if (net.isIP(host)) return isPublicAddress(host) ? null : 'private';
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    return 'unresolvable';
+  }
+  return addresses.every(a => isPublicAddress(a.address)) ? null : 'private';
+}
+
+function post(value, headers, body) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(value);
+    const host = hostOf(url);
+    if (net.isIP(host) && !isPublicAddress(host)) return reject(new BlockedTargetError(host, host));
+    const req = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+      lookup: guardedLookup,
+      timeout: TIMEOUT_MS,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * @param {object} opts
+ * @param {(guildId: string) => object[]} opts.getSubscriptions
+ * @param {(guildId: string, subId: string, result: object) => void} [opts.onResult]
+ */
+function createWebhookDispatcher({ getSubscriptions, onResult = () => {} }) {
+  async function deliverOnce(sub, type, body) {
+    const timestamp = String(Date.now());
+    const status = await post(sub.url, {
+      'content-type': 'application/json',
+      'user-agent': 'phantom-forge-invites-webhooks',
+      'x-webhook-id': sub.id,
+      'x-webhook-event': type,
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-signature': sign(sub.secret, timestamp, body),
+    }, body);
+    if (status < 200 || status >= 300) throw new Error(`HTTP ${status}`);
+    return status;
+  }
+
+  // Resolves with the final result; never rejects
+  function deliver(guildId, sub, type, payload, attempt = 1) {
+    const body = JSON.stringify(payload);
+    return deliverOnce(sub, type, body).then(
+      (status) => {
+        const result = { ok: true, status, attempts: attempt, at: Date.now() };
+        onResult(guildId, sub.id, result);
+        return result;
+      },
+      (e) => {
+        // A blocked target stays blocked, so retrying only repeats the lookup
+        if (attempt >= MAX_ATTEMPTS || e instanceof BlockedTargetError) {
+          const result = { ok: false, error: e.message, attempts: attempt, at: Date.now() };
+          console.warn(`Webhook ${sub.id} gave up on ${type} after ${attempt} attempts: ${e.message}`);
+          onResult(guildId, sub.id, result);
+          return result;
+        }
+        const delay = BASE_DELAY_MS * 4 ** (attempt - 1);
+        return new Promise((resolve) => {
+          setTimeout(() => resolve(deliver(guildId, sub, type, payload, attempt + 1)), delay);
+        });
+      }
+    );
+  }
+
+  function buildPayload(guildId, type, data) {
+    return { id: crypto.randomUUID(), type, guildId, timestamp: Date.now(), data };
+  }
+
+  return {
+    // Fire-and-forget to every subscription of the guild listening for `type`
+    emit(guildId, type, data) {
+      const subs = (getSubscriptions(guildId) ?? []).filter(s => s.events.includes(type));
+      if (subs.length === 0) return;
+      const payload = buildPayload(guildId, type, data);
+      for (const sub of subs) deliver(guildId, sub, type, payload);
+    },
+
+    // Single attempt, so the admin gets the outcome right away
+    async sendTest(guildId, sub) {
+      const type = 'test';
+      const payload = buildPayload(guildId, type, { message: 'This is a test event from Phantom Forge Invites.' });
+      try {
+        const status = await deliverOnce(sub, type, JSON.stringify(payload));
+        return { ok: true, status };
+      } catch (e) {
+        return { ok: false, error: e.message };
+      }
+    },
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  checkWebhookTarget,
+  createWebhookDispatcher,
+  generateId,
+  generateSecret,
+  isPublicAddress,
+  isValidWebhookUrl,
+  sign,
+};
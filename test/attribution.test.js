@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  collectNewUses, collectVanityUses, claimUse, inferDisappeared, planOfflineJoins, PENDING_TTL_MS
+} = require('../src/attribution');
+
+const NOW = 1_700_000_000_000;
+
+test('collectNewUses queues one pending use per new use', () => {
+  const pending = [];
+  collectNewUses(pending, { a: { uses: 1 }, b: { uses: 0 } }, { a: { uses: 3 }, b: { uses: 0 }, c: { uses: 1 } }, NOW);
+  assert.deepEqual(pending.map(p => p.code), ['a', 'a', 'c']);
+});
+
+test('collectVanityUses ignores an unknown baseline', () => {
+  const pending = [];
+  collectVanityUses(pending, null, 5, NOW);
+  assert.equal(pending.length, 0);
+  collectVanityUses(pending, 5, 7, NOW);
+  assert.deepEqual(pending.map(p => p.source), ['vanity', 'vanity']);
+});
+
+test('claimUse is exact when every pending use has the same code', () => {
+  const pending = [
+    { source: 'invite', code: 'a', at: NOW },
+    { source: 'invite', code: 'a', at: NOW },
+  ];
+  assert.equal(claimUse(pending, NOW).confidence, 'exact');
+  assert.equal(claimUse(pending, NOW).confidence, 'exact');
+  assert.equal(claimUse(pending, NOW), null);
+});
+
+test('claimUse is inferred when racing joins used different codes', () => {
+  const pending = [
+    { source: 'invite', code: 'a', at: NOW },
+    { source: 'vanity', code: null, at: NOW },
+  ];
+  const first = claimUse(pending, NOW);
+  assert.equal(first.code, 'a');
+  assert.equal(first.confidence, 'inferred');
+  const second = claimUse(pending, NOW);
+  assert.equal(second.source, 'vanity');
+  assert.equal(second.confidence, 'inferred', 'the last one left is just as uncertain');
+});
+
+test('claimUse drops uses older than the pending TTL', () => {
+  const pending = [{ source: 'invite', code: 'old', at: NOW - PENDING_TTL_MS - 1 }];
+  assert.equal(claimUse(pending, NOW), null);
+  assert.equal(pending.length, 0);
+});
+
+test('inferDisappeared prefers an invite that was one use from maxUses', () => {
+  const before = {
+    expired: { uses: 0, expiresAt: NOW - 1_000 },
+    usedUp: { uses: 4, maxUses: 5, inviterId: 'u1' },
+  };
+  const use = inferDisappeared(before, {}, NOW);
+  assert.equal(use.code, 'usedUp');
+  assert.equal(use.invite.inviterId, 'u1');
+  assert.equal(use.confidence, 'inferred');
+});
+
+test('inferDisappeared ignores invites that were simply deleted', () => {
+  assert.equal(inferDisappeared({ gone: { uses: 2, maxUses: 0 } }, {}, NOW), null);
+});
+
+test('planOfflineJoins credits joiners when all uses point at one inviter', () => {
+  const plan = planOfflineJoins({
+    before: { a: { uses: 1, inviterId: 'A' }, b: { uses: 0, inviterId: 'A' } },
+    after: { a: { uses: 2, inviterId: 'A' }, b: { uses: 1, inviterId: 'A' } },
+    joiners: ['m1', 'm2'],
+    now: NOW,
+  });
+  assert.deepEqual(plan.assignments.map(a => [a.memberId, a.use.invite.inviterId]), [['m1', 'A'], ['m2', 'A']]);
+  assert.deepEqual(plan.unattributed, []);
+});
+
+test('planOfflineJoins leaves joiners unattributed when inviters are mixed', () => {
+  const plan = planOfflineJoins({
+    before: { a: { uses: 0, inviterId: 'A' }, b: { uses: 0, inviterId: 'B' } },
+    after: { a: { uses: 1, inviterId: 'A' }, b: { uses: 1, inviterId: 'B' } },
+    joiners: ['m1', 'm2'],
+    now: NOW,
+  });
+  assert.deepEqual(plan.assignments, []);
+  assert.deepEqual(plan.unattributed, ['m1', 'm2']);
+  assert.equal(plan.spareUses, 2);
+});
+
+test('planOfflineJoins only counts a vanished invite that was on its last use', () => {
+  const joiners = ['m1'];
+  const lastUse = planOfflineJoins({ before: { a: { uses: 4, maxUses: 5, inviterId: 'A' } }, after: {}, joiners, now: NOW });
+  assert.deepEqual(lastUse.assignments.map(a => a.use.code), ['a']);
+
+  // deleted by hand with uses left, or expired while the bot was down
+  for (const gone of [{ uses: 1, maxUses: 5 }, { uses: 0, maxUses: 0 }, { uses: 4, maxUses: 5, expiresAt: NOW - 1_000 }]) {
+    const plan = planOfflineJoins({ before: { a: { ...gone, inviterId: 'A' } }, after: {}, joiners, since: NOW - 60_000, now: NOW });
+    assert.deepEqual(plan.unattributed, ['m1']);
+  }
+});
+
+test('planOfflineJoins treats a vanished invite of another inviter as a possible source', () => {
+  const plan = planOfflineJoins({
+    before: { a: { uses: 0, inviterId: 'A' }, b: { uses: 1, maxUses: 5, inviterId: 'B' }, old: { uses: 0, inviterId: 'C', expiresAt: NOW - 120_000 } },
+    after: { a: { uses: 1, inviterId: 'A' } },
+    joiners: ['m1'],
+    since: NOW - 60_000,
+    now: NOW,
+  });
+  assert.deepEqual(plan.unattributed, ['m1']);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CONTEST_RULES, parseDuration, statsDelta, contestStandings } = require('../src/contests');
+
+test('parseDuration reads combined units and rejects anything else', () => {
+  assert.equal(parseDuration('1d12h'), 36 * 3_600_000);
+  assert.equal(parseDuration('90m'), 90 * 60_000);
+  assert.equal(parseDuration('2 w'), 14 * 86_400_000);
+  assert.equal(parseDuration('tomorrow'), null);
+  assert.equal(parseDuration('3d soon'), null);
+});
+
+test('contestStandings scores counter changes by the contest rules', () => {
+  const byUser = {
+    a: statsDelta({ joins: 8, leaves: 1, bonus: 5 }, { joins: 2, bonus: 5 }),
+    b: statsDelta({ joins: 4, fake: 2, rejoins: 3 }, {}),
+    c: statsDelta({ joins: 1 }, { joins: 1 }),
+  };
+  const byDefault = contestStandings(byUser, DEFAULT_CONTEST_RULES);
+  assert.deepEqual(byDefault.map(r => [r.userId, r.score, r.rank]), [['a', 5, 1], ['b', 2, 2]]);
+
+  const lenient = contestStandings(byUser, { excludeFakes: true, excludeRejoins: false, excludeBonus: true });
+  assert.deepEqual(lenient.map(r => [r.userId, r.score]), [['b', 7], ['a', 5]]);
+});
@@ -0,0 +1,35 @@
+// Builds a bot on a FakeClient with a JSON store in a fresh temp directory.
+// `files` seeds data/*.json collections, e.g. { stats: { ... } }.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../../src/storage');
+const { createBot } = require('../../src/bot');
+const { FakeClient } = require('./discord');
+
+async function createTestBot({ files = {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invite-logs-test-'));
+  for (const [name, data] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dataDir, `${name}.json`), JSON.stringify(data));
+  }
+  const client = new FakeClient();
+  // a long flush interval: tests flush explicitly when they look at the files
+  const store = createStore({ backend: 'json', dataDir, flushMs: 60_000 });
+  const bot = createBot({ client, store });
+  await bot.load();
+
+  return {
+    client,
+    store,
+    bot,
+    dataDir,
+    readFile: (name) => JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf8')),
+    cleanup() {
+      bot.stop();
+      store.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { createTestBot };
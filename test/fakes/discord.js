@@ -0,0 +1,324 @@
+// In-memory stand-ins for the parts of discord.js the bot touches: a client that
+// is an EventEmitter, guilds with invites, a vanity URL, members and channels,
+// and chat-input interactions that record what the bot replied.
+//
+// Tests change the "server side" (useInvite, useVanity, addMember, ...) and then
+// call the bot's handlers directly, so every await resolves deterministically.
+const { EventEmitter } = require('events');
+const { Collection, ChannelType } = require('discord.js');
+
+const DAY_MS = 86_400_000;
+let nextId = 100_000_000_000_000_000n;
+
+function snowflake() {
+  nextId += 1n;
+  return String(nextId);
+}
+
+class FakeUser {
+  constructor({ id = snowflake(), username = `user${id.slice(-4)}`, bot = false, avatar = 'avatarhash', createdTimestamp = Date.now() - 365 * DAY_MS } = {}) {
+    this.id = id;
+    this.username = username;
+    this.globalName = null;
+    this.tag = username;
+    this.bot = bot;
+    this.avatar = avatar;
+    this.createdTimestamp = createdTimestamp;
+  }
+
+  displayAvatarURL() {
+    return `https://cdn.discordapp.com/avatars/${this.id}/${this.avatar}.png`;
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+class FakeMember {
+  constructor(guild, user, { joinedTimestamp = Date.now() } = {}) {
+    this.guild = guild;
+    this.user = user;
+    this.id = user.id;
+    this.joinedTimestamp = joinedTimestamp;
+    const cache = new Collection();
+    this.roles = {
+      cache,
+      add: async (ids) => { for (const id of [].concat(ids)) cache.set(id, guild.roles.cache.get(id) ?? { id }); },
+      remove: async (ids) => { for (const id of [].concat(ids)) cache.delete(id); },
+    };
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+class FakeGuild {
+  constructor(client, { id = snowflake(), name = 'Test Guild', vanityUses = null, preferredLocale = 'en-US' } = {}) {
+    this.client = client;
+    this.id = id;
+    this.name = name;
+    this.preferredLocale = preferredLocale;
+    this.vanityUses = vanityUses; // null = no vanity URL
+    this.inviteList = new Map();  // code -> raw invite
+    this.canFetchInvites = true;
+    this.invitesPaused = false;
+
+    const members = new Collection();
+    this.members = {
+      cache: members,
+      me: { id: client.user.id, permissions: { has: () => true } },
+      fetch: async (id) => {
+        if (id === undefined) return members;
+        const member = members.get(id);
+        if (!member) throw new Error('Unknown Member');
+        return member;
+      },
+    };
+    this.invites = {
+      fetch: async () => {
+        if (!this.canFetchInvites) throw new Error('Missing Permissions');
+        return new Collection([...this.inviteList].map(([code, inv]) => [code, this.toInvite(inv)]));
+      },
+      delete: async (code) => {
+        if (!this.inviteList.delete(code)) throw new Error('Unknown Invite');
+      },
+    };
+    this.channels = { cache: new Collection() };
+    this.roles = { cache: new Collection() };
+  }
+
+  get memberCount() {
+    return this.members.cache.size;
+  }
+
+  async disableInvites(disabled = true) {
+    this.invitesPaused = disabled;
+    return this;
+  }
+
+  async fetchVanityData() {
+    if (this.vanityUses === null) throw new Error('Missing Access');
+    return { code: 'vanity', uses: this.vanityUses };
+  }
+
+  toInvite(inv) {
+    return {
+      code: inv.code,
+      uses: inv.uses,
+      maxUses: inv.maxUses,
+      inviter: inv.inviter,
+      channelId: inv.channelId,
+      createdTimestamp: inv.createdTimestamp,
+      expiresAt: inv.expiresAt ? new Date(inv.expiresAt) : null,
+      guild: this,
+    };
+  }
+
+  // ---------- test controls ----------
+  addInvite({ code = `c${snowflake().slice(-6)}`, inviter, uses = 0, maxUses = 0, expiresAt = null, channelId = '1' } = {}) {
+    const inv = { code, inviter, uses, maxUses, expiresAt, channelId, createdTimestamp: Date.now() };
+    this.inviteList.set(code, inv);
+    return this.toInvite(inv);
+  }
+
+  // Counts a use like Discord does: invites that reach maxUses are deleted
+  useInvite(code) {
+    const inv = this.inviteList.get(code);
+    if (!inv) throw new Error(`No invite ${code}`);
+    inv.uses += 1;
+    if (inv.maxUses > 0 && inv.uses >= inv.maxUses) this.inviteList.delete(code);
+  }
+
+  useVanity() {
+    this.vanityUses += 1;
+  }
+
+  addMember(user, opts) {
+    const member = new FakeMember(this, user, opts);
+    this.members.cache.set(user.id, member);
+    this.client.users.cache.set(user.id, user);
+    return member;
+  }
+
+  // Puts a member through an invite, the vanity URL (`via: 'vanity'`) or
+  // neither (OAuth), and returns it for the guildMemberAdd handler
+  join(user, { via = null, joinedTimestamp } = {}) {
+    if (via === 'vanity') this.useVanity();
+    else if (via) this.useInvite(via);
+    return this.addMember(user, { joinedTimestamp });
+  }
+
+  // Text channels record what is sent to them in `sent`; edits replace the entry
+  addChannel({ id = snowflake(), name = 'general', type = ChannelType.GuildText } = {}) {
+    const messages = new Collection();
+    const channel = {
+      id, name, type, guildId: this.id, sent: [],
+      permissionsFor: () => ({ has: () => true }),
+      // invites made by the bot, like Channel#createInvite
+      createInvite: async ({ maxUses = 0 } = {}) => this.addInvite({ inviter: this.client.user, maxUses, channelId: id }),
+      send: async (payload) => {
+        const index = channel.sent.push(payload) - 1;
+        const message = {
+          id: snowflake(),
+          edit: async (next) => { channel.sent[index] = { ...channel.sent[index], ...next }; return message; },
+        };
+        messages.set(message.id, message);
+        return message;
+      },
+      messages: {
+        fetch: async (messageId) => {
+          const message = messages.get(messageId);
+          if (!message) throw new Error('Unknown Message');
+          return message;
+        },
+      },
+      toString: () => `<#${id}>`,
+    };
+    this.channels.cache.set(id, channel);
+    return channel;
+  }
+
+  addRole({ id = snowflake(), name = 'role' } = {}) {
+    const role = { id, name, toString: () => `<@&${id}>` };
+    this.roles.cache.set(id, role);
+    return role;
+  }
+
+  removeMember(id) {
+    const member = this.members.cache.get(id);
+    this.members.cache.delete(id);
+    return member;
+  }
+}
+
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.user = new FakeUser({ username: 'Phantom forge Invites', bot: true });
+    this.user.setActivity = () => {};
+    this.user.setUsername = async () => {};
+    this.guilds = { cache: new Collection() };
+    const users = new Collection();
+    this.users = {
+      cache: users,
+      fetch: async (id) => {
+        const user = users.get(id);
+        if (!user) throw new Error('Unknown User');
+        return user;
+      },
+    };
+    this.rest = new EventEmitter();
+  }
+
+  isReady() {
+    return true;
+  }
+
+  addGuild(opts) {
+    const guild = new FakeGuild(this, opts);
+    this.guilds.cache.set(guild.id, guild);
+    return guild;
+  }
+
+  // The bot was kicked: the guild leaves the cache, then guildDelete fires
+  removeGuild(id) {
+    const guild = this.guilds.cache.get(id);
+    this.guilds.cache.delete(id);
+    return guild;
+  }
+
+  createUser(opts) {
+    const user = new FakeUser(opts);
+    this.users.cache.set(user.id, user);
+    return user;
+  }
+}
+
+// A slash command invocation. `options` maps option names to values (users,
+// numbers, strings, ...); everything the bot sends ends up in `replies`.
+// `click` is the custom id of the button the user presses on the reply, if any.
+class FakeInteraction {
+  constructor({ guild, user, commandName, subcommand = null, options = {}, manageGuild = true, locale = 'en-US', click = null }) {
+    this.guild = guild;
+    this.guildId = guild.id;
+    this.user = user;
+    this.locale = locale;
+    this.member = guild.members.cache.get(user.id) ?? null;
+    this.commandName = commandName;
+    this.memberPermissions = { has: () => manageGuild };
+    this.replies = [];
+    this.click = click;
+    this.deferred = false;
+    this.replied = false;
+
+    const get = (name, required) => {
+      if (options[name] === undefined && required) throw new Error(`Missing required option ${name}`);
+      return options[name] ?? null;
+    };
+    this.options = {
+      getSubcommand: () => subcommand,
+      getFocused: () => '',
+      getUser: get,
+      getMember: get,
+      getRole: get,
+      getChannel: get,
+      getString: get,
+      getInteger: get,
+      getNumber: get,
+      getBoolean: get,
+      getAttachment: get,
+    };
+  }
+
+  isAutocomplete() { return false; }
+  isChatInputCommand() { return true; }
+  isButton() { return false; }
+  inGuild() { return true; }
+
+  async reply(payload) {
+    this.replied = true;
+    this.replies.push(payload);
+    return this.message();
+  }
+
+  async deferReply() {
+    this.deferred = true;
+  }
+
+  async editReply(payload) {
+    this.replies.push(payload);
+    return this.message();
+  }
+
+  async followUp(payload) {
+    this.replies.push(payload);
+    return this.message();
+  }
+
+  // Without `click` buttons are never clicked: collectors time out right away
+  message() {
+    return {
+      awaitMessageComponent: async () => {
+        if (!this.click) throw new Error('time');
+        return { customId: this.click, user: this.user, update: async (payload) => { this.replies.push(payload); } };
+      },
+      createMessageComponentCollector: () => new EventEmitter(),
+    };
+  }
+
+  get lastReply() {
+    return this.replies[this.replies.length - 1];
+  }
+}
+
+module.exports = {
+  DAY_MS,
+  snowflake,
+  FakeUser,
+  FakeMember,
+  FakeGuild,
+  FakeClient,
+  FakeInteraction,
+};
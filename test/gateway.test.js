@@ -0,0 +1,449 @@
+// Drives the bot's event and command handlers through the fake gateway.
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTotal } = require('../src/stats');
+const { createTestBot } = require('./fakes/bot');
+const { FakeInteraction, DAY_MS } = require('./fakes/discord');
+
+// A bot with one guild whose invites and vanity uses are already cached
+async function setup(t, guildOpts = { vanityUses: 0 }) {
+  const env = await createTestBot();
+  t.after(env.cleanup);
+  const guild = env.client.addGuild(guildOpts);
+  const inviter = env.client.createUser({ username: 'inviter' });
+  const other = env.client.createUser({ username: 'other' });
+  guild.addMember(inviter);
+  guild.addMember(other);
+  const invite = guild.addInvite({ code: 'alpha', inviter });
+  const otherInvite = guild.addInvite({ code: 'beta', inviter: other });
+  await env.bot.handlers.guildCreate(guild);
+
+  const stats = (id) => env.bot.state().stats[guild.id]?.[id];
+  const join = (user, via) => env.bot.handlers.guildMemberAdd(guild.join(user, { via }));
+  const leave = (user) => env.bot.handlers.guildMemberRemove(guild.removeMember(user.id));
+  return { ...env, guild, inviter, other, invite, otherInvite, stats, join, leave };
+}
+
+test('an invite join credits the invite creator', async (t) => {
+  const { client, guild, inviter, stats, join, bot } = await setup(t);
+  const member = client.createUser();
+  await join(member, 'alpha');
+
+  assert.equal(stats(inviter.id).joins, 1);
+  assert.equal(stats(inviter.id).lastInviteCode, 'alpha');
+  assert.equal(bot.state().membersMap[guild.id][member.id], inviter.id);
+  const event = bot.state().events[guild.id].at(-1);
+  assert.equal(event.type, 'join');
+  assert.equal(event.confidence, 'exact');
+});
+
+// Both uses are visible before either handler fetches the invites, so which member
+// used which invite can't be told apart: each inviter gets one join, both inferred.
+for (const order of [['alpha', 'beta'], ['beta', 'alpha']]) {
+  test(`racing joins through different invites are inferred (${order.join(' then ')})`, async (t) => {
+    const { client, guild, inviter, other, stats, bot } = await setup(t);
+    const members = order.map(via => guild.join(client.createUser(), { via }));
+    await Promise.all(members.map(m => bot.handlers.guildMemberAdd(m)));
+
+    assert.equal(stats(inviter.id).joins, 1);
+    assert.equal(stats(other.id).joins, 1);
+    const joins = bot.state().events[guild.id].filter(e => e.type === 'join');
+    assert.deepEqual(joins.map(e => e.confidence), ['inferred', 'inferred']);
+  });
+}
+
+test('an invite refresh from /invitecodes waits for queued joins', async (t) => {
+  const { client, guild, inviter, other, stats, bot } = await setup(t);
+  // hold the first join's attribution after it fetched the invites
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const fetchVanityData = guild.fetchVanityData.bind(guild);
+  guild.fetchVanityData = async () => { await held; return fetchVanityData(); };
+
+  const first = bot.handlers.guildMemberAdd(guild.join(client.createUser(), { via: 'alpha' }));
+  await new Promise(resolve => setImmediate(resolve));
+  const second = bot.handlers.guildMemberAdd(guild.join(client.createUser(), { via: 'beta' }));
+  const command = bot.handlers.interactionCreate(new FakeInteraction({ guild, user: inviter, commandName: 'invitecodes' }));
+  await new Promise(resolve => setImmediate(resolve));
+  release();
+  await Promise.all([first, second, command]);
+
+  assert.equal(stats(inviter.id).joins, 1);
+  assert.equal(stats(other.id).joins, 1);
+  assert.equal(stats('oauth'), undefined);
+});
+
+test('racing joins through the same invite are both exact', async (t) => {
+  const { client, guild, inviter, stats, bot } = await setup(t);
+  const first = guild.join(client.createUser(), { via: 'alpha' });
+  const second = guild.join(client.createUser(), { via: 'alpha' });
+  await Promise.all([bot.handlers.guildMemberAdd(first), bot.handlers.guildMemberAdd(second)]);
+
+  assert.equal(stats(inviter.id).joins, 2);
+  const joins = bot.state().events[guild.id].filter(e => e.type === 'join');
+  assert.deepEqual(joins.map(e => e.confidence), ['exact', 'exact']);
+});
+
+test('an invite deleted on its last use is still credited', async (t) => {
+  const { client, guild, other, stats, join, bot } = await setup(t);
+  const oneShot = guild.addInvite({ code: 'once', inviter: other, maxUses: 1 });
+  await bot.handlers.inviteCreate(oneShot);
+  await join(client.createUser(), 'once');
+
+  assert.equal(guild.inviteList.has('once'), false);
+  assert.equal(stats(other.id).joins, 1);
+  assert.equal(bot.state().events[guild.id].at(-1).confidence, 'inferred');
+});
+
+test('a vanity join is tracked under the vanity pseudo-inviter', async (t) => {
+  const { client, guild, stats, join, bot } = await setup(t);
+  await join(client.createUser(), 'vanity');
+
+  assert.equal(stats('vanity').joins, 1);
+  assert.equal(bot.state().events[guild.id].at(-1).source, 'vanity');
+});
+
+test('vanity joins go to the configured user', async (t) => {
+  const { client, guild, other, stats, join, bot } = await setup(t);
+  const admin = client.createUser();
+  const interaction = new FakeInteraction({
+    guild, user: admin, commandName: 'vanitycredit', subcommand: 'set', options: { user: other },
+  });
+  await bot.handlers.interactionCreate(interaction);
+  await join(client.createUser(), 'vanity');
+
+  assert.equal(stats(other.id).joins, 1);
+  assert.equal(stats('vanity'), undefined);
+});
+
+test('joins without an invite or vanity use count as OAuth, bots as bot-added', async (t) => {
+  const { client, stats, join } = await setup(t);
+  await join(client.createUser(), null);
+  await join(client.createUser({ bot: true }), null);
+
+  assert.equal(stats('oauth').joins, 1);
+  assert.equal(stats('bot').joins, 1);
+});
+
+test('young accounts count normally until the age rule is switched on', async (t) => {
+  const { client, inviter, stats, join } = await setup(t);
+  await join(client.createUser({ createdTimestamp: Date.now() - DAY_MS }), 'alpha');
+
+  assert.equal(stats(inviter.id).joins, 1);
+  assert.equal(stats(inviter.id).fake, 0);
+});
+
+test('young accounts are counted as fake, which counts against the total', async (t) => {
+  const { client, guild, inviter, stats, join, bot } = await setup(t);
+  bot.state().settings[guild.id] = { fake: { minAccountAgeDays: 7 } };
+  await join(client.createUser({ createdTimestamp: Date.now() - DAY_MS }), 'alpha');
+
+  assert.equal(stats(inviter.id).fake, 1);
+  assert.equal(stats(inviter.id).joins, 0);
+  assert.equal(computeTotal(stats(inviter.id)), -1);
+});
+
+test('a rejoin through the same inviter undoes the counted leave without extra credit', async (t) => {
+  const { client, guild, inviter, stats, join, leave, bot } = await setup(t);
+  const member = client.createUser();
+  await join(member, 'alpha');
+  await leave(member);
+  assert.equal(stats(inviter.id).leaves, 1);
+  assert.equal(computeTotal(stats(inviter.id)), 0);
+
+  await join(member, 'alpha');
+  assert.equal(stats(inviter.id).joins, 1);
+  assert.equal(stats(inviter.id).rejoins, 1);
+  assert.equal(stats(inviter.id).leaves, 0);
+  assert.equal(computeTotal(stats(inviter.id)), 1);
+
+  await leave(member);
+  assert.equal(stats(inviter.id).leaves, 1);
+  assert.equal(computeTotal(stats(inviter.id)), 0);
+
+  const fromEvents = bot.apiContext.statsForPeriod(guild.id, { from: 0, to: Infinity })[inviter.id];
+  assert.deepEqual([fromEvents.joins, fromEvents.leaves, fromEvents.rejoins], [1, 1, 1], 'the event log agrees');
+});
+
+test('moving a rejoin that undid a leave gives the leave back to the old inviter', async (t) => {
+  const { client, guild, inviter, other, stats, join, leave, bot } = await setup(t);
+  const member = client.createUser();
+  await join(member, 'alpha');
+  await leave(member);
+  await join(member, 'alpha');
+  await bot.handlers.interactionCreate(new FakeInteraction({
+    guild, user: client.createUser(), commandName: 'setinviter', options: { member, inviter: other },
+  }));
+
+  assert.deepEqual([stats(inviter.id).joins, stats(inviter.id).leaves, stats(inviter.id).rejoins], [1, 1, 0]);
+  assert.equal(stats(other.id).rejoins, 1);
+  assert.equal(computeTotal(stats(other.id)), 0);
+});
+
+test('a rejoin through another inviter neither adds nor loses invites', async (t) => {
+  const { client, inviter, other, stats, join, leave } = await setup(t);
+  const member = client.createUser();
+  await join(member, 'alpha');
+  await leave(member);
+  await join(member, 'beta');
+
+  assert.equal(stats(other.id).rejoins, 1);
+  assert.equal(computeTotal(stats(other.id)), 0);
+  await leave(member);
+  assert.equal(stats(other.id).leaves, 0, 'leaving after a rejoin is not counted');
+  assert.equal(computeTotal(stats(inviter.id)), 0);
+});
+
+test('a reset inviter loses nothing when a member known only from membersMap leaves', async (t) => {
+  const { client, guild, inviter, stats, leave, bot } = await setup(t);
+  // tracked by a version from before join history
+  const member = client.createUser();
+  guild.addMember(member);
+  bot.state().membersMap[guild.id] = { [member.id]: inviter.id };
+  bot.state().stats[guild.id] = { [inviter.id]: { joins: 1, leaves: 0, bonus: 0, fake: 0, rejoins: 0, lastInviteCode: null } };
+
+  const reset = new FakeInteraction({
+    guild, user: client.createUser(), commandName: 'resetinvites', options: { user: inviter }, click: 'reset:confirm',
+  });
+  await bot.handlers.interactionCreate(reset);
+  assert.equal(stats(inviter.id).joins, 0);
+  await leave(member);
+
+  assert.equal(stats(inviter.id).leaves, 0);
+  assert.equal(computeTotal(stats(inviter.id)), 0);
+});
+
+test('leaving within leaveWithinHours turns the join into a fake', async (t) => {
+  const { client, guild, inviter, stats, join, leave, bot } = await setup(t);
+  bot.state().settings[guild.id] = { fake: { leaveWithinHours: 24 } };
+  const member = client.createUser();
+  await join(member, 'alpha');
+  await leave(member);
+
+  assert.deepEqual(
+    [stats(inviter.id).joins, stats(inviter.id).leaves, stats(inviter.id).fake],
+    [0, 0, 1]
+  );
+  assert.equal(bot.state().events[guild.id].at(-1).counted, 'fake');
+});
+
+test('/bonus adds and removes bonus invites and records them', async (t) => {
+  const { client, guild, inviter, stats, bot } = await setup(t);
+  const admin = client.createUser();
+  const bonus = (amount) => bot.handlers.interactionCreate(new FakeInteraction({
+    guild, user: admin, commandName: 'bonus', options: { user: inviter, amount },
+  }));
+  await bonus(5);
+  await bonus(-2);
+
+  assert.equal(stats(inviter.id).bonus, 3);
+  assert.equal(computeTotal(stats(inviter.id)), 3);
+  const bonusEvents = bot.state().events[guild.id].filter(e => e.type === 'bonus');
+  assert.deepEqual(bonusEvents.map(e => e.amount), [5, -2]);
+  assert.equal(bot.state().audit[guild.id].length, 2);
+});
+
+test('/bonus needs Manage Server', async (t) => {
+  const { client, guild, inviter, stats, bot } = await setup(t);
+  const interaction = new FakeInteraction({
+    guild, user: client.createUser(), commandName: 'bonus', options: { user: inviter, amount: 5 }, manageGuild: false,
+  });
+  await bot.handlers.interactionCreate(interaction);
+
+  assert.match(interaction.lastReply.content, /Manage Server/);
+  assert.equal(stats(inviter.id), undefined);
+});
+
+test('the staff role can use /bonus without Manage Server', async (t) => {
+  const { client, guild, inviter, stats, bot } = await setup(t);
+  const staff = guild.addRole({ name: 'staff' });
+  const moderator = client.createUser();
+  await guild.addMember(moderator).roles.add(staff.id);
+  await bot.handlers.interactionCreate(new FakeInteraction({
+    guild, user: client.createUser(), commandName: 'config', subcommand: 'set', options: { key: 'staffRole', value: staff.id },
+  }));
+
+  await bot.handlers.interactionCreate(new FakeInteraction({
+    guild, user: moderator, commandName: 'bonus', options: { user: inviter, amount: 2 }, manageGuild: false,
+  }));
+  assert.equal(stats(inviter.id).bonus, 2);
+});
+
+test('/config set rejects invalid values and stores valid ones', async (t) => {
+  const { client, guild, bot } = await setup(t);
+  const set = async (key, value) => {
+    const interaction = new FakeInteraction({ guild, user: client.createUser(), commandName: 'config', subcommand: 'set', options: { key, value } });
+    await bot.handlers.interactionCreate(interaction);
+    return interaction.lastReply.content;
+  };
+
+  assert.match(await set('fake.leaveWithinHours', 'soon'), /Invalid value/);
+  assert.equal(bot.state().settings[guild.id], undefined);
+  assert.match(await set('fake.leaveWithinHours', '12'), /✅/);
+  assert.equal(bot.state().settings[guild.id].fake.leaveWithinHours, 12);
+});
+
+test('replies follow the user\'s locale and logs follow the language setting', async (t) => {
+  const { client, guild, join, bot } = await setup(t);
+  const logs = guild.addChannel({ name: 'invite-logs' });
+  const run = async (opts) => {
+    const interaction = new FakeInteraction({ guild, user: client.createUser(), ...opts });
+    await bot.handlers.interactionCreate(interaction);
+    return interaction.lastReply;
+  };
+
+  const footer = async (locale) => (await run({ commandName: 'avatar', locale })).embeds[0].data.footer.text;
+  assert.match(await footer('nl'), /^Gebruikers-ID/);
+  await join(client.createUser(), 'alpha');
+  assert.match(logs.sent.at(-1).content, /^Welcome/);
+
+  assert.match((await run({ commandName: 'config', subcommand: 'set', options: { key: 'language', value: 'nl' } })).content, /✅/);
+  await join(client.createUser(), 'alpha');
+  assert.match(logs.sent.at(-1).content, /^Welkom/);
+  assert.match(await footer('en-US'), /^User ID/, 'an English user still gets English');
+});
+
+test('a join burst through one invite alerts, holds the credit back and deletes the invite', async (t) => {
+  const { client, guild, inviter, stats, join, bot } = await setup(t);
+  const logs = guild.addChannel({ name: 'invite-logs' });
+  bot.state().settings[guild.id] = { raid: { joins: 3, holdCredit: true, action: 'delete' } };
+  for (let i = 0; i < 3; i++) await join(client.createUser(), 'alpha');
+
+  assert.equal(stats(inviter.id).joins, 0);
+  assert.equal(stats('raid').joins, 3);
+  assert.equal(guild.inviteList.has('alpha'), false);
+  assert.ok(logs.sent.some(m => m.embeds?.[0]?.data.title === '🚨 Possible raid'));
+  assert.equal(bot.state().audit[guild.id].filter(e => e.action === 'raid').length, 1);
+});
+
+test('/raidmode on credits nobody until it is turned off', async (t) => {
+  const { client, guild, inviter, stats, join, bot } = await setup(t);
+  const raidmode = (subcommand) => bot.handlers.interactionCreate(new FakeInteraction({
+    guild, user: client.createUser(), commandName: 'raidmode', subcommand,
+  }));
+  await raidmode('on');
+  await join(client.createUser(), 'alpha');
+  await raidmode('off');
+  await join(client.createUser(), 'alpha');
+
+  assert.equal(stats('raid').joins, 1);
+  assert.equal(stats(inviter.id).joins, 1);
+});
+
+test('/invitetree lists second-level invitees and /invites shows indirect credit', async (t) => {
+  const { client, guild, inviter, other, join, bot } = await setup(t);
+  const friend = client.createUser();
+  await join(friend, 'alpha');
+  await bot.handlers.inviteCreate(guild.addInvite({ code: 'gamma', inviter: friend }));
+  await join(client.createUser(), 'gamma');
+  bot.state().settings[guild.id] = { indirectCreditPct: 50 };
+
+  const tree = new FakeInteraction({ guild, user: other, commandName: 'invitetree', options: { user: inviter } });
+  await bot.handlers.interactionCreate(tree);
+  const fields = tree.lastReply.embeds[0].data.fields;
+  assert.deepEqual(fields.map(f => f.name), ['Level 1', 'Level 2']);
+
+  const invites = new FakeInteraction({ guild, user: other, commandName: 'invites', options: { user: inviter } });
+  await bot.handlers.interactionCreate(invites);
+  const indirect = invites.lastReply.embeds[0].data.fields.find(f => f.name.includes('Indirect'));
+  assert.equal(indirect.value, '**0.5**');
+});
+
+test('a contest scores only invites made while it runs and rewards the winner', async (t) => {
+  const { client, guild, inviter, other, join, bot } = await setup(t);
+  const channel = guild.addChannel({ name: 'contest' });
+  const prize = guild.addRole({ name: 'Champion' });
+  prize.editable = true;
+  await join(client.createUser(), 'beta'); // before the contest
+  const contest = async (subcommand, options = {}) => {
+    const interaction = new FakeInteraction({ guild, user: client.createUser(), commandName: 'contest', subcommand, options });
+    await bot.handlers.interactionCreate(interaction);
+    return interaction;
+  };
+
+  await contest('create', { name: 'Spring', duration: '7d', channel, winners: 1, prize_role: prize });
+  await join(client.createUser(), 'alpha');
+  await join(client.createUser(), 'alpha');
+  await join(client.createUser(), 'beta');
+  const status = await contest('status');
+  assert.ok(status.deferred, 'live standings are computed after deferring');
+  assert.equal(status.lastReply.embeds.length, 1);
+  await contest('end');
+
+  const result = bot.state().contests[guild.id];
+  assert.equal(result.status, 'ended');
+  assert.deepEqual(result.results.map(r => [r.userId, r.score]), [[inviter.id, 2], [other.id, 1]]);
+  assert.deepEqual(result.winnerIds, [inviter.id]);
+  assert.ok(guild.members.cache.get(inviter.id).roles.cache.has(prize.id));
+  assert.match(channel.sent.at(-1).content, /Congratulations/);
+});
+
+test('/myinvite creates one personal invite whose joins go to its owner', async (t) => {
+  const { client, guild, inviter, other, stats, join, bot } = await setup(t);
+  const channel = guild.addChannel({ name: 'welcome' });
+  bot.state().settings[guild.id] = { personalInviteChannel: channel.id };
+  const myinvite = async () => {
+    const interaction = new FakeInteraction({ guild, user: inviter, commandName: 'myinvite' });
+    await bot.handlers.interactionCreate(interaction);
+    return interaction.lastReply.content.match(/discord\.gg\/(\w+)/)[1];
+  };
+
+  const code = await myinvite();
+  assert.equal(await myinvite(), code);
+  await join(client.createUser(), code);
+  assert.equal(stats(inviter.id).joins, 1);
+  assert.equal(stats(client.user.id), undefined);
+
+  await bot.handlers.interactionCreate(new FakeInteraction({
+    guild, user: client.createUser(), commandName: 'personalinvites', subcommand: 'reassign', options: { user: inviter, to: other },
+  }));
+  await join(client.createUser(), code);
+  assert.equal(stats(other.id).joins, 1);
+});
+
+test('a server that removed the bot keeps its data for the grace period, then it is archived', async (t) => {
+  const { client, guild, inviter, stats, join, bot, dataDir } = await setup(t);
+  bot.state().settings[guild.id] = { language: 'nl' };
+  await join(client.createUser(), 'alpha');
+  await bot.handlers.guildDelete(client.removeGuild(guild.id));
+  bot.runCleanup();
+  assert.equal(stats(inviter.id).joins, 1, 'kept during the grace period');
+
+  bot.state().departed[guild.id].at -= 8 * DAY_MS;
+  bot.runCleanup();
+  for (const [name, data] of Object.entries(bot.state())) {
+    assert.equal(data[guild.id], undefined, `${name} still has the guild`);
+  }
+  const [file] = fs.readdirSync(path.join(dataDir, 'archive'));
+  const archived = JSON.parse(fs.readFileSync(path.join(dataDir, 'archive', file), 'utf8'));
+  assert.equal(archived.stats[inviter.id].joins, 1);
+  assert.equal(archived.settings.language, 'nl');
+  assert.equal(archived.events.length, 1);
+  assert.ok(archived.history);
+});
+
+test('adding the bot back within the grace period keeps the data', async (t) => {
+  const { client, guild, inviter, stats, join, bot } = await setup(t);
+  await join(client.createUser(), 'alpha');
+  await bot.handlers.guildDelete(client.removeGuild(guild.id));
+  client.guilds.cache.set(guild.id, guild);
+  await bot.handlers.guildCreate(guild);
+
+  assert.equal(bot.state().departed[guild.id], undefined);
+  bot.runCleanup();
+  assert.equal(stats(inviter.id).joins, 1);
+});
+
+test('a failing command is logged and answered with an ephemeral error', async (t) => {
+  const { guild, inviter, bot } = await setup(t);
+  const logged = t.mock.method(console, 'error', () => {});
+  const interaction = new FakeInteraction({ guild, user: inviter, commandName: 'invitecodes', locale: 'nl' });
+  interaction.deferReply = async () => { throw new Error('Unknown interaction'); };
+  await bot.handlers.interactionCreate(interaction);
+
+  assert.match(logged.mock.calls[0].arguments[0], /\/invitecodes handler failed .*Unknown interaction/);
+  assert.equal(interaction.lastReply.ephemeral, true);
+  assert.match(interaction.lastReply.content, /Er ging iets mis/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LANGUAGES, translate, languageOf, ordinal, localizeCommands } = require('../src/i18n');
+const { commands } = require('../src/commands');
+
+// Dotted paths of every message in a bundle
+function keysOf(node, prefix = '') {
+  return Object.entries(node).flatMap(([k, v]) => (typeof v === 'string' ? [prefix + k] : keysOf(v, `${prefix}${k}.`)));
+}
+
+test('translate fills placeholders and falls back to English, then to the fallback text', () => {
+  assert.equal(translate('nl', 'invitetree.level', { depth: 2 }), 'Niveau 2');
+  assert.equal(translate('en', 'invitetree.level', { depth: 2 }), 'Level 2');
+  assert.equal(translate('nl', 'no.such.key', {}, 'Fallback {x}'), 'Fallback {x}');
+  assert.equal(translate('de', 'common.none'), 'None');
+});
+
+test('every language has every English message', () => {
+  const en = keysOf(require('../src/locales/en.json'));
+  for (const lang of LANGUAGES) {
+    const keys = new Set(keysOf(require(`../src/locales/${lang}.json`)));
+    assert.deepEqual(en.filter(k => !keys.has(k)), [], `${lang} is missing messages`);
+  }
+});
+
+test('languageOf maps Discord locales to bundles', () => {
+  assert.equal(languageOf('en-US'), 'en');
+  assert.equal(languageOf('nl'), 'nl');
+  assert.equal(languageOf('pt-BR'), null);
+  assert.equal(ordinal('en', 22), '22nd');
+  assert.equal(ordinal('nl', 22), '22e');
+});
+
+test('command definitions carry the Dutch descriptions', () => {
+  const config = commands.find(c => c.name === 'config');
+  assert.ok(config.description_localizations.nl);
+  const set = config.options.find(o => o.name === 'set');
+  assert.ok(set.options.every(o => o.description_localizations?.nl), 'options of /config set');
+  assert.deepEqual(localizeCommands([{ name: 'nothing', description: 'x' }]), [{ name: 'nothing', description: 'x' }]);
+});
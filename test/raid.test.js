@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RAID_RULES, trackJoin, burstReason } = require('../src/raid');
+
+const NOW = 1_700_000_000_000;
+const rules = { ...DEFAULT_RAID_RULES, joins: 3, windowSeconds: 60 };
+
+test('trackJoin keeps only joins inside the window', () => {
+  const window = [];
+  trackJoin(window, { at: NOW - 90_000 }, rules);
+  trackJoin(window, { at: NOW - 30_000 }, rules);
+  trackJoin(window, { at: NOW }, rules);
+  assert.equal(window.length, 2);
+  assert.equal(burstReason(window, rules), null);
+  trackJoin(window, { at: NOW + 1_000 }, rules);
+  assert.match(burstReason(window, rules), /3 joins within 60s/);
+});
+
+test('burstReason flags a high share of young accounts', () => {
+  const youngRules = { ...rules, joins: 0, youngSharePct: 60 };
+  const window = [true, true, true, false, false].map((young, i) => ({ at: NOW + i, young }));
+  assert.match(burstReason(window, youngRules), /3 of 5 joins/);
+  assert.equal(burstReason(window.slice(0, 4), youngRules), null, 'too few joins to judge');
+});
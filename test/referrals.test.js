@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReferralIndex, referralLevels, flattenLevels, indirectCredits } = require('../src/referrals');
+
+// A invited B and C; B invited D (still here) and E (left); D invited A back
+const history = {
+  B: { inviterId: 'A', credited: true, lastJoinAt: 1_000 },
+  C: { inviterId: 'A', credited: true, lastJoinAt: 2_000 },
+  D: { inviterId: 'B', credited: true, lastJoinAt: 3_000 },
+  E: { inviterId: 'B', credited: false, lastJoinAt: 4_000, leftAt: 5_000 },
+  A: { inviterId: 'D', credited: true, lastJoinAt: 6_000 },
+};
+
+test('referralLevels counts active and left members per level without looping', () => {
+  const children = buildReferralIndex({}, history);
+  const levels = referralLevels(children, 'A', 5);
+  assert.deepEqual(levels.map(l => [l.depth, l.active, l.left]), [[1, 2, 0], [2, 1, 1]]);
+  assert.deepEqual(flattenLevels('A', levels).map(n => n.memberId), ['B', 'D', 'E', 'C']);
+  assert.equal(referralLevels(children, 'A', 1).length, 1);
+});
+
+test('indirectCredits gives a share of credited second-level joins', () => {
+  const children = buildReferralIndex({ F: 'C' }, history);
+  // A gets D (through B) and F (through C, no join time); E left, so it is not counted
+  assert.deepEqual(indirectCredits(children, 50), { A: 1, B: 0.5, D: 1 });
+  assert.deepEqual(indirectCredits(children, 50, { from: 0, to: 10_000 }), { A: 0.5, B: 0.5, D: 1 });
+  assert.deepEqual(indirectCredits(children, 0), {});
+});
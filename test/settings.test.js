@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseConfigValue, readConfig, writeConfig, clearConfig } = require('../src/settings');
+const { createTestBot } = require('./fakes/bot');
+const { FakeClient } = require('./fakes/discord');
+
+test('parseConfigValue validates values by key type', () => {
+  const guild = new FakeClient().addGuild();
+  const logs = guild.addChannel({ name: 'logs' });
+
+  assert.deepEqual(parseConfigValue('fake.minAccountAgeDays', '14', guild), { value: 14 });
+  assert.match(parseConfigValue('fake.minAccountAgeDays', '1000', guild).error, /0.*365/);
+  assert.deepEqual(parseConfigValue('rewards.stack', 'off', guild), { value: false });
+  assert.ok(parseConfigValue('fake.namePattern', '([', guild).error);
+  assert.deepEqual(parseConfigValue('logs.channel', `<#${logs.id}>`, guild), { value: logs.id });
+  assert.ok(parseConfigValue('logs.channel', '123456789012345678', guild).error);
+  assert.ok(parseConfigValue('nope', 'x', guild).error);
+});
+
+test('writeConfig and clearConfig share paths with the feature settings', () => {
+  const s = { fake: { minAccountAgeDays: 3 } };
+  assert.equal(readConfig(s, 'fake.minAccountAgeDays'), 3);
+  writeConfig(s, 'templates.join.mode', 'embed');
+  assert.deepEqual(s.templates, { join: { mode: 'embed' } });
+  clearConfig(s, 'fake.minAccountAgeDays');
+  assert.equal(readConfig(s, 'fake.minAccountAgeDays'), 0);
+});
+
+test('a bare log channel id in config.json is moved into settings', async (t) => {
+  const env = await createTestBot({ files: { config: { g1: '111111111111111111' } } });
+  t.after(env.cleanup);
+
+  assert.equal(env.bot.state().settings.g1.logChannels.default, '111111111111111111');
+  env.store.flush();
+  assert.deepEqual(env.readFile('config'), {});
+  assert.equal(env.readFile('settings').g1.logChannels.default, '111111111111111111');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTotal, normalizeStats, rankStats } = require('../src/stats');
+const { createTestBot } = require('./fakes/bot');
+
+test('computeTotal subtracts leaves and fakes and adds bonus', () => {
+  assert.equal(computeTotal({ joins: 10, leaves: 3, fake: 2, bonus: 4, rejoins: 7 }), 9);
+  assert.equal(computeTotal(undefined), 0);
+});
+
+test('normalizeStats turns the legacy { total } schema into joins', () => {
+  const { value, migrated } = normalizeStats({ total: 5 });
+  assert.equal(migrated, true);
+  assert.deepEqual(value, { joins: 5, leaves: 0, bonus: 0, fake: 0, rejoins: 0, lastInviteCode: null });
+});
+
+test('normalizeStats fills missing counters of the current schema', () => {
+  const { value, migrated } = normalizeStats({ joins: 2, leaves: 1 });
+  assert.equal(migrated, false);
+  assert.equal(value.bonus, 0);
+  assert.equal(value.rejoins, 0);
+});
+
+test('rankStats skips empty entries and shares ranks on ties', () => {
+  const ranked = rankStats({
+    a: { joins: 3 },
+    b: { joins: 5 },
+    c: { joins: 3 },
+    d: { joins: 1, leaves: 1 },
+  });
+  assert.deepEqual(ranked.map(r => [r.userId, r.rank]), [['b', 1], ['a', 2], ['c', 2]]);
+});
+
+test('loading old stats.json migrates it and writes the new schema back', async (t) => {
+  const env = await createTestBot({
+    files: { stats: { g1: { u1: { total: 4 }, u2: { joins: 1, leaves: 0, bonus: 2, fake: 0, rejoins: 0 } } } },
+  });
+  t.after(env.cleanup);
+
+  const { stats } = env.bot.state();
+  assert.equal(stats.g1.u1.joins, 4);
+  assert.equal(computeTotal(stats.g1.u1), 4);
+  assert.equal(computeTotal(stats.g1.u2), 3);
+
+  env.store.flush();
+  assert.equal(env.readFile('stats').g1.u1.total, undefined);
+  assert.equal(env.readFile('stats').g1.u1.joins, 4);
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore, shardForKey } = require('../src/storage');
+const { createSqliteBackend } = require('../src/storage/sqlite');
+
+// Snowflakes whose timestamp bits put them on shard 0 and shard 1 of 2
+const GUILD_A = String((1_000_000_000_000n << 22n) | 5n);
+const GUILD_B = String((1_000_000_000_001n << 22n) | 5n);
+
+test('shardForKey matches how Discord assigns guilds to shards', () => {
+  assert.equal(shardForKey(GUILD_A, 2), 0);
+  assert.equal(shardForKey(GUILD_B, 2), 1);
+  assert.equal(shardForKey(GUILD_B, 1), 0);
+  assert.equal(shardForKey('legacy', 4), 0);
+});
+
+test('sharded JSON stores start from the unsharded file and keep their own guilds', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invite-logs-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dataDir, 'stats.json'), JSON.stringify({ [GUILD_A]: { u: 1 }, [GUILD_B]: { u: 2 } }));
+
+  const stores = [0, 1].map(id => createStore({ backend: 'json', dataDir, shard: { id, count: 2 } }));
+  for (const store of stores) await store.init();
+  const [a, b] = stores.map(store => store.load('stats'));
+  assert.deepEqual(a, { [GUILD_A]: { u: 1 } });
+  assert.deepEqual(b, { [GUILD_B]: { u: 2 } });
+
+  a[GUILD_A].u = 10;
+  stores[0].save('stats', a);
+  stores[0].close();
+  stores[1].close();
+
+  const read = (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+  assert.deepEqual(read('stats.shard-0.json'), { [GUILD_A]: { u: 10 } });
+  assert.equal(fs.existsSync(path.join(dataDir, 'stats.shard-1.json')), false, 'nothing saved on shard 1');
+  assert.deepEqual(read('stats.json')[GUILD_A], { u: 1 }, 'the unsharded file is left alone');
+  assert.deepEqual(createStore({ backend: 'json', dataDir, shard: { id: 0, count: 2 } }).load('stats'), { [GUILD_A]: { u: 10 } });
+});
+
+test('JSON log collections are appended to a .jsonl file, converted from the old .json', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invite-logs-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dataDir, 'events.json'), JSON.stringify({ [GUILD_A]: [{ at: 1, type: 'join' }] }));
+
+  const store = createStore({ backend: 'json', dataDir });
+  await store.init();
+  const events = store.load('events');
+  const entry = { at: 2, type: 'leave' };
+  events[GUILD_A].push(entry);
+  store.append('events', GUILD_A, entry);
+  store.flush();
+
+  const file = path.join(dataDir, 'events.jsonl');
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2);
+  // a crash in the middle of an append leaves a torn last line
+  t.mock.method(console, 'warn', () => {});
+  fs.appendFileSync(file, '["1", {"at": 3');
+  const reloaded = createStore({ backend: 'json', dataDir }).load('events');
+  assert.deepEqual(reloaded[GUILD_A].map(e => e.type), ['join', 'leave']);
+  assert.ok(fs.readFileSync(file, 'utf8').endsWith('}]\n'), 'the torn line is dropped from the file');
+});
+
+test('SQLite keeps log entries as rows and moves old log documents into them', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invite-logs-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'invites.db');
+  const old = createSqliteBackend({ file });
+  await old.init();
+  old.writeMany([['events', { [GUILD_A]: [{ at: 1, type: 'join' }] }]]);
+  old.close();
+
+  const db = createSqliteBackend({ file, logs: ['events'] });
+  await db.init();
+  db.appendMany([['events', GUILD_A, { at: 2, type: 'leave' }], ['events', GUILD_B, { at: 3, type: 'join' }]]);
+  assert.deepEqual(db.read('events'), {
+    [GUILD_A]: [{ at: 1, type: 'join' }, { at: 2, type: 'leave' }],
+    [GUILD_B]: [{ at: 3, type: 'join' }],
+  });
+  db.writeMany([['events', { [GUILD_B]: [] }]]);
+  assert.deepEqual(db.read('events'), {});
+  db.close();
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkWebhookTarget, createWebhookDispatcher, isPublicAddress } = require('../src/webhooks');
+
+test('isPublicAddress refuses loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['1.1.1.1', '8.8.8.8', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('checkWebhookTarget refuses non-public hosts before a webhook is saved', async () => {
+  assert.equal(await checkWebhookTarget('http://1.1.1.1/hook'), 'invalid');
+  assert.equal(await checkWebhookTarget('https://127.0.0.1:3000/api'), 'private');
+  assert.equal(await checkWebhookTarget('https://[::ffff:127.0.0.1]/'), 'private');
+  assert.equal(await checkWebhookTarget('https://0x7f.1/'), 'private');
+  assert.equal(await checkWebhookTarget('https://localhost/'), 'private');
+  assert.equal(await checkWebhookTarget('https://1.1.1.1/hook'), null);
+});
+
+test('deliveries to a non-public host fail without retrying', async () => {
+  const dispatcher = createWebhookDispatcher({ getSubscriptions: () => [] });
+  const result = await dispatcher.sendTest('g', { id: 'w', url: 'https://169.254.169.254/latest', secret: 's', events: [] });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /non-public address/);
+});